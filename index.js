@@ -3,6 +3,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 require('dotenv').config();
@@ -13,6 +14,13 @@ const uploadRoutes = require('./routes/upload');
 const quizRoutes = require('./routes/quiz');
 const progressRoutes = require('./routes/progress');
 const analyticsRoutes = require('./routes/analytics');
+const bankRoutes = require('./routes/bank');
+const generationQueue = require('./services/generationQueue');
+const attemptSweeper = require('./services/attemptSweeper');
+const itemCalibrator = require('./services/itemCalibrator');
+const Quiz = require('./models/Quiz');
+const User = require('./models/User');
+const GenerationJob = require('./models/GenerationJob');
 
 const app = express();
 const server = createServer(app);
@@ -43,7 +51,13 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/questquiz')
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  Quiz.backfillStatus().catch(err => console.error('❌ Quiz status backfill error:', err));
+  generationQueue.start(io);
+  attemptSweeper.start();
+  itemCalibrator.start();
+})
 .catch(err => {
   console.error('❌ MongoDB connection error:', err);
   console.log('⚠️  Server will continue without database connection');
@@ -56,6 +70,7 @@ app.use('/api/upload', uploadRoutes);
 app.use('/api/quiz', quizRoutes);
 app.use('/api/progress', progressRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/bank', bankRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -67,6 +82,22 @@ app.get('/api/health', (req, res) => {
 });
 
 // Socket.io for real-time features
+// Sockets may connect without a token; a valid one (sent as auth.token in the
+// handshake) identifies the user for events that need it
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+    socket.user = await User.findById(decoded.userId);
+    next();
+  } catch (error) {
+    console.error('❌ Socket token verification error:', error.message);
+    next(new Error('Invalid token'));
+  }
+});
+
 io.on('connection', (socket) => {
   console.log('🔌 User connected:', socket.id);
   
@@ -75,6 +106,24 @@ io.on('connection', (socket) => {
     console.log(`👥 User ${socket.id} joined quiz ${quizId}`);
   });
   
+  // Instructors listen for quiz generation progress on the job room; only
+  // the instructor who started the job may join it
+  socket.on('join-generation-job', async (jobId) => {
+    try {
+      if (!socket.user || !mongoose.isValidObjectId(jobId)) return;
+
+      const job = await GenerationJob.findById(jobId).select('instructor');
+      if (!job || job.instructor.toString() !== socket.user._id.toString()) {
+        console.log(`🚫 User ${socket.id} denied access to generation job ${jobId}`);
+        return;
+      }
+
+      socket.join(`generation-job:${jobId}`);
+    } catch (error) {
+      console.error('❌ Join generation job error:', error.message);
+    }
+  });
+  
   socket.on('submit-answer', (data) => {
     // Broadcast answer submission to other users in the same quiz
     socket.to(data.quizId).emit('answer-submitted', {
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { questionSchema } = require('./Quiz');
+
+// A reusable question in a class's question bank. Generated questions are
+// saved here so instructors can assemble new quizzes from them; the question
+// fields are the same as a quiz question's, minus what only makes sense
+// inside one quiz (id, revisions, item statistics, lint results).
+const bankQuestionSchema = questionSchema.clone();
+bankQuestionSchema.remove(['questionId', 'revisions', 'stats', 'lint', 'bankQuestion']);
+
+bankQuestionSchema.add({
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture',
+    default: null // source lecture; none for hand-written questions
+  },
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    default: null // quiz the question was first saved from
+  },
+  tags: [String],
+  // Hash of the normalized text and type, so a question is only banked once per class
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  usageCount: {
+    type: Number,
+    default: 0 // quizzes assembled with this question
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+});
+bankQuestionSchema.set('timestamps', true);
+
+bankQuestionSchema.index({ class: 1, fingerprint: 1 }, { unique: true });
+bankQuestionSchema.index({ class: 1, topic: 1, difficulty: 1 });
+bankQuestionSchema.index({ lecture: 1 });
+
+module.exports = mongoose.model('BankQuestion', bankQuestionSchema);
@@ -52,6 +52,11 @@ const classSchema = new mongoose.Schema({
     requireApproval: {
       type: Boolean,
       default: false
+    },
+    aiProvider: {
+      type: String,
+      enum: ['gemini', 'openai', 'ollama', 'stub', null], // null = deployment default (AI_PROVIDER)
+      default: null
     }
   },
   stats: {
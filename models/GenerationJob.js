@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+const generationJobSchema = new mongoose.Schema({
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'extracting', 'generating', 'failed', 'done'],
+    default: 'queued'
+  },
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture',
+    default: null // the first lecture of a combined job
+  },
+  // Every lecture the quiz is generated from, with its extraction status.
+  // Combined jobs have several; a file that fails doesn't sink the others.
+  files: [{
+    lecture: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lecture'
+    },
+    originalName: String,
+    status: {
+      type: String,
+      enum: ['pending', 'extracted', 'failed'],
+      default: 'pending'
+    },
+    error: {
+      type: String,
+      default: null
+    }
+  }],
+  file: {
+    originalName: {
+      type: String,
+      required: true
+    },
+    mimeType: String,
+    size: Number,
+    data: Buffer // Jobs queued before lectures were persisted; moved to a Lecture when processed
+  },
+  options: {
+    title: String,
+    description: String,
+    timeLimit: Number,
+    numQuestions: Number,
+    isAdaptive: {
+      type: Boolean,
+      default: false
+    },
+    adaptiveQuestionCount: Number,
+    adaptiveDifficultyLevels: [String],
+    adaptiveRetakeThreshold: Number
+  },
+  extractedText: {
+    type: String,
+    default: null // Only set on jobs that finished before lectures were persisted
+  },
+  topics: [{
+    name: String,
+    weight: Number,
+    description: String
+  }],
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    default: null
+  },
+  // Quality checks on the generated questions (services/questionLinter.js).
+  // Dropped questions are only kept here so the instructor can see why.
+  lint: {
+    checked: Number,
+    dropped: Number,
+    flagged: Number,
+    questions: [{
+      questionId: String, // null for dropped questions
+      text: String,
+      score: Number,
+      dropped: Boolean,
+      issues: [{
+        check: String,
+        severity: String,
+        message: String
+      }]
+    }]
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+generationJobSchema.index({ status: 1, nextRunAt: 1 });
+generationJobSchema.index({ instructor: 1, createdAt: -1 });
+generationJobSchema.index({ 'files.lecture': 1 });
+
+// Public view of the job (never includes the raw file or extracted text)
+generationJobSchema.methods.toStatus = function() {
+  return {
+    id: this._id,
+    status: this.status,
+    fileName: this.file.originalName,
+    title: this.options.title || this.file.originalName,
+    class: this.class,
+    lecture: this.lecture,
+    files: this.files.map(file => ({
+      lecture: file.lecture,
+      fileName: file.originalName,
+      status: file.status,
+      error: file.error
+    })),
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    nextRunAt: this.status === 'queued' ? this.nextRunAt : null,
+    error: this.error,
+    quiz: this.quiz,
+    lint: this.lint?.checked ? this.lint : null,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt
+  };
+};
+
+module.exports = mongoose.model('GenerationJob', generationJobSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Source material a quiz is generated from. The original file lives in
+// lecture storage (services/storage); the extracted text and its structure
+// are kept here so quizzes can be regenerated, questions can cite their
+// source and several quizzes can share one lecture.
+const sectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  level: {
+    type: Number,
+    default: 1 // 1 = top-level heading
+  },
+  page: {
+    type: Number,
+    default: null // PDFs only
+  },
+  startOffset: {
+    type: Number,
+    required: true // character offsets into extractedText
+  },
+  endOffset: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const lectureSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  file: {
+    originalName: {
+      type: String,
+      required: true
+    },
+    mimeType: String,
+    size: Number,
+    storage: {
+      type: String,
+      required: true // backend the file was saved with
+    },
+    key: {
+      type: String,
+      required: true
+    }
+  },
+  extractedText: {
+    type: String,
+    default: null
+  },
+  pageCount: {
+    type: Number,
+    default: null
+  },
+  pageOffsets: [Number], // start of each page in extractedText (PDFs only)
+  sections: [sectionSchema],
+  topics: [{
+    name: String,
+    weight: Number,
+    description: String,
+    chunks: [Number] // textChunker chunks covering the topic, strongest first
+  }],
+  extractedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+lectureSchema.index({ instructor: 1, createdAt: -1 });
+lectureSchema.index({ class: 1 });
+
+// Public view of the lecture (never includes the extracted text)
+lectureSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    title: this.title,
+    class: this.class,
+    fileName: this.file.originalName,
+    mimeType: this.file.mimeType,
+    size: this.file.size,
+    pageCount: this.pageCount,
+    sectionCount: this.sections.length,
+    topics: this.topics,
+    extracted: Boolean(this.extractedAt),
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Lecture', lectureSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { questionSchema } = require('./Quiz');
+
+// A personalized practice quiz built from a student's weak topics. Answers
+// update topic mastery on the source quiz's Progress but never its grade.
+const practiceSessionSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz', // the graded quiz the weak topics come from
+    required: true
+  },
+  topics: [String],
+  questions: [questionSchema],
+  answers: [{
+    questionId: {
+      type: String,
+      required: true
+    },
+    answer: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    isCorrect: Boolean,
+    credit: Number,
+    feedback: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isCompleted: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+practiceSessionSchema.index({ student: 1, quiz: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PracticeSession', practiceSessionSchema);
@@ -5,14 +5,54 @@ const answerSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // String for most types; a list for multi-select, ordering and
+  // fill-in-the-blank and a { left: right } map for matching
   answer: {
-    type: String,
+    type: mongoose.Schema.Types.Mixed,
     required: true
   },
   isCorrect: {
     type: Boolean,
     required: true
   },
+  // Share of the question's credit earned (0-1); partial for short answers
+  credit: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 1
+  },
+  confidence: {
+    type: Number,
+    default: 1
+  },
+  gradingMethod: {
+    type: String,
+    enum: ['exact', 'numeric', 'fuzzy', 'ai', 'instructor'],
+    default: 'exact'
+  },
+  feedback: {
+    type: String,
+    default: ''
+  },
+  // Low-confidence grades wait for an instructor to confirm or override them
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  clientRequestId: {
+    type: String, // lets clients safely retry a submission
+    default: null
+  },
   timeSpent: {
     type: Number, // in seconds
     default: 0
@@ -23,6 +63,14 @@ const answerSchema = new mongoose.Schema({
   }
 });
 
+// Ability estimate (logit scale) for one topic
+const topicAbilitySchema = new mongoose.Schema({
+  topic: String,
+  theta: Number,
+  standardError: Number,
+  responses: Number // answers the estimate is based on
+}, { _id: false });
+
 const attemptSchema = new mongoose.Schema({
   student: {
     type: mongoose.Schema.Types.ObjectId,
@@ -34,11 +82,68 @@ const attemptSchema = new mongoose.Schema({
     ref: 'Quiz',
     required: true
   },
+  // The student's form of the quiz (see services/quizForms.js): the questions
+  // drawn for this attempt, in the order they are asked, and how each one's
+  // options are arranged. Empty for attempts started before forms existed.
+  form: [{
+    _id: false,
+    questionId: {
+      type: String,
+      required: true
+    },
+    order: [Number] // display position -> stored option/item/pair index; empty = stored order
+  }],
+  // Questions shown to the student, in the order they were served
+  servedQuestions: [{
+    questionId: {
+      type: String,
+      required: true
+    },
+    order: Number,
+    servedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   answers: [answerSchema],
   score: {
     type: Number,
     default: 0
   },
+  // Item response theory estimate at the end of the attempt (see
+  // services/adaptiveEngine.js)
+  abilityEstimate: {
+    theta: {
+      type: Number,
+      default: null
+    },
+    standardError: Number,
+    retakeRecommended: Boolean
+  },
+  topicAbilities: [topicAbilitySchema],
+  // Why an adaptive attempt ended before every question was asked
+  stopReason: {
+    type: String,
+    enum: ['confidence', 'question-count', 'no-questions', null],
+    default: null
+  },
+  // How the score was put together (see services/scoringService.js)
+  scoreBreakdown: {
+    pointsEarned: Number,
+    negativePoints: Number,
+    timeBonus: Number,
+    pointsPossible: Number,
+    latePenalty: Number,
+    partialCredit: Boolean,
+    questions: [{
+      _id: false,
+      questionId: String,
+      points: Number,
+      credit: Number,
+      earned: Number,
+      answered: Boolean
+    }]
+  },
   totalQuestions: {
     type: Number,
     required: true
@@ -58,9 +163,31 @@ const attemptSchema = new mongoose.Schema({
   isCompleted: {
     type: Boolean,
     default: false
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deadline: {
+    type: Date, // server-side cut-off; answers after this are rejected
+    default: null
+  },
+  completionReason: {
+    type: String,
+    enum: ['submitted', 'time-expired', null],
+    default: null
+  },
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  latePenalty: {
+    type: Number, // percentage deducted from the score
+    default: 0
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  optimisticConcurrency: true // concurrent answer submissions must not both succeed
 });
 
 const progressSchema = new mongoose.Schema({
@@ -96,6 +223,16 @@ const progressSchema = new mongoose.Schema({
     questionsAnswered: Number,
     correctAnswers: Number
   }],
+  // Latest ability estimates, used as the prior for the next attempt
+  ability: {
+    theta: {
+      type: Number,
+      default: null
+    },
+    standardError: Number,
+    updatedAt: Date
+  },
+  topicAbilities: [topicAbilitySchema],
   weakTopics: [String], // Topics where student struggles
   strongTopics: [String] // Topics where student excels
 }, {
@@ -105,6 +242,8 @@ const progressSchema = new mongoose.Schema({
 // Index for efficient queries
 progressSchema.index({ student: 1, quiz: 1 });
 attemptSchema.index({ student: 1, quiz: 1 });
+attemptSchema.index({ isCompleted: 1, deadline: 1 });
+attemptSchema.index({ quiz: 1, 'answers.needsReview': 1 });
 
 module.exports = {
   Progress: mongoose.model('Progress', progressSchema),
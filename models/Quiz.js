@@ -1,5 +1,70 @@
 const mongoose = require('mongoose');
 
+const QUIZ_STATUSES = ['draft', 'in-review', 'scheduled', 'published', 'archived'];
+
+// Allowed status changes for the review workflow
+const STATUS_TRANSITIONS = {
+  'draft': ['in-review', 'scheduled', 'published', 'archived'],
+  'in-review': ['draft', 'scheduled', 'published', 'archived'],
+  'scheduled': ['draft', 'in-review', 'published', 'archived'],
+  'published': ['draft', 'archived'],
+  'archived': ['draft', 'published']
+};
+
+// Previous version of a question, kept when it is replaced
+const questionRevisionSchema = new mongoose.Schema({
+  text: String,
+  type: String,
+  options: [{
+    text: String,
+    isCorrect: Boolean
+  }],
+  correctAnswer: String,
+  items: [String],
+  pairs: [{
+    left: String,
+    right: String
+  }],
+  blanks: [{
+    acceptedAnswers: [String]
+  }],
+  unit: String,
+  explanation: String,
+  reason: {
+    type: String,
+    enum: ['ai-regenerate'],
+    default: 'ai-regenerate'
+  },
+  feedback: {
+    type: String,
+    default: ''
+  },
+  replacedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Where in the lecture a question's answer comes from. Offsets index into
+// that Lecture's extractedText; only quotes found there are stored.
+const questionSourceSchema = new mongoose.Schema({
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture'
+  },
+  quote: String,
+  startOffset: Number,
+  endOffset: Number,
+  paragraphStart: Number,
+  paragraphEnd: Number,
+  page: Number,
+  section: String,
+  match: {
+    type: String,
+    enum: ['exact', 'normalized', 'partial']
+  }
+}, { _id: false });
+
 const questionSchema = new mongoose.Schema({
   questionId: {
     type: String,
@@ -11,16 +76,49 @@ const questionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['multiple-choice', 'true-false', 'short-answer'],
+    enum: ['multiple-choice', 'multi-select', 'true-false', 'short-answer', 'fill-in-the-blank', 'numeric', 'ordering', 'matching'],
     required: true
   },
+  // Choices for multiple-choice, true-false and multi-select (several may be correct)
   options: [{
     text: String,
     isCorrect: Boolean
   }],
+  // Multi-select, ordering, matching and fill-in-the-blank keep their key in
+  // options and the fields below
   correctAnswer: {
     type: String,
-    required: true
+    required: function() {
+      return ['multiple-choice', 'true-false', 'short-answer', 'numeric'].includes(this.type);
+    }
+  },
+  // Ordering: items in their correct order
+  items: [String],
+  // Matching: left/right pairs that belong together
+  pairs: [{
+    left: String,
+    right: String
+  }],
+  // Fill-in-the-blank: answers for each ___ in the text, in order
+  blanks: [{
+    acceptedAnswers: [String]
+  }],
+  // Numeric: unit the answer is expressed in (optional)
+  unit: {
+    type: String,
+    default: ''
+  },
+  // Short-answer grading: other answers that count as correct (synonyms),
+  // allowed distance from a numeric correctAnswer and an optional AI rubric
+  acceptedAnswers: [String],
+  numericTolerance: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  rubric: {
+    type: String,
+    default: ''
   },
   topic: {
     type: String,
@@ -38,6 +136,49 @@ const questionSchema = new mongoose.Schema({
   points: {
     type: Number,
     default: 10
+  },
+  source: {
+    type: questionSourceSchema,
+    default: null
+  },
+  // Bank question this one was drawn from (see models/BankQuestion.js)
+  bankQuestion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankQuestion',
+    default: null
+  },
+  revisions: [questionRevisionSchema],
+  // When the content was last edited or regenerated; answers from attempts
+  // started earlier don't count towards the statistics
+  contentUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  // Empirical item statistics, recomputed by services/itemCalibrator.js
+  stats: {
+    responses: Number,
+    calibrated: Boolean, // enough responses to trust (and flag) the numbers
+    pValue: Number, // mean credit, 0-1
+    discrimination: Number, // point-biserial correlation with the rest score
+    irtDifficulty: Number, // Rasch difficulty on the logit scale
+    empiricalDifficulty: String,
+    upperGroupPValue: Number,
+    lowerGroupPValue: Number,
+    flags: [String],
+    calibratedAt: Date
+  },
+  // Automated quality checks, see services/questionLinter.js
+  lint: {
+    score: Number, // 0-100
+    issues: [{
+      check: String,
+      severity: {
+        type: String,
+        enum: ['error', 'warning']
+      },
+      message: String
+    }],
+    checkedAt: Date
   }
 });
 
@@ -61,6 +202,15 @@ const quizSchema = new mongoose.Schema({
     ref: 'Class',
     required: true
   },
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture',
+    default: null // Quizzes generated before lectures were persisted have none
+  },
+  lectures: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture' // all source lectures; several for combined quizzes
+  }],
   lectureId: {
     type: String,
     required: true
@@ -72,7 +222,8 @@ const quizSchema = new mongoose.Schema({
   questions: [questionSchema],
   topics: [{
     name: String,
-    weight: Number // How much this topic is covered in the quiz
+    weight: Number, // How much this topic is covered in the quiz
+    description: String
   }],
   totalQuestions: {
     type: Number,
@@ -86,15 +237,155 @@ const quizSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Generated quizzes start as drafts and are only visible to students once
+  // published (or scheduled and past publishAt)
+  status: {
+    type: String,
+    enum: QUIZ_STATUSES,
+    default: 'draft'
+  },
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // When students can take the quiz. All dates are optional; a missing date
+  // means no restriction on that side.
+  availability: {
+    opensAt: {
+      type: Date,
+      default: null
+    },
+    dueAt: {
+      type: Date,
+      default: null
+    },
+    closesAt: {
+      type: Date,
+      default: null
+    },
+    latePolicy: {
+      type: String,
+      enum: ['reject', 'accept-with-penalty'],
+      default: 'reject'
+    },
+    latePenalty: {
+      type: Number, // percentage deducted from late attempts
+      default: 10,
+      min: 0,
+      max: 100
+    }
+  },
+  // Per-student overrides of dueAt / closesAt
+  extensions: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    dueAt: {
+      type: Date,
+      default: null
+    },
+    closesAt: {
+      type: Date,
+      default: null
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   settings: {
     allowRetake: {
       type: Boolean,
       default: true
     },
+    // Attempt limits (only apply when retakes are allowed); null means unlimited
+    maxAttempts: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+    cooldownMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Grade short answers the matchers can't accept with the class's LLM
+    aiGrading: {
+      type: Boolean,
+      default: false
+    },
+    // Grades below this confidence go to the instructor override queue
+    gradingReviewThreshold: {
+      type: Number,
+      default: 0.7,
+      min: 0,
+      max: 1
+    },
+    scoring: {
+      // Award a share of a question's points for partially correct answers
+      partialCredit: {
+        type: Boolean,
+        default: true
+      },
+      // Share of a question's points deducted for a wrong answer (0 = off)
+      negativeMarking: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 1
+      },
+      // Up to this percentage of the possible points for finishing early (0 = off)
+      timeBonus: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 50
+      }
+    },
+    // Which attempts make up the grade stored in Progress.bestScore
+    gradingPolicy: {
+      type: String,
+      enum: ['best', 'latest', 'average'],
+      default: 'best'
+    },
     showCorrectAnswers: {
       type: Boolean,
       default: true
     },
+    // When students see answer keys and explanations (if showCorrectAnswers)
+    revealAnswers: {
+      type: String,
+      enum: ['after-answer', 'after-close'],
+      default: 'after-answer'
+    },
+    // Per-attempt forms (see services/quizForms.js). Pools don't apply to
+    // adaptive quizzes, where the engine picks the questions.
+    randomization: {
+      shuffleQuestions: {
+        type: Boolean,
+        default: true
+      },
+      shuffleOptions: {
+        type: Boolean,
+        default: true
+      },
+      // Each attempt gets `draw` random questions of a pool; questions that
+      // are in no pool are always asked
+      pools: [{
+        name: String,
+        questionIds: [String],
+        draw: {
+          type: Number,
+          min: 1
+        }
+      }]
+    },
     adaptiveMode: {
       type: Boolean,
       default: false
@@ -135,10 +426,84 @@ const quizSchema = new mongoose.Schema({
   timestamps: true
 });
 
+quizSchema.index({ class: 1, status: 1 });
+quizSchema.index({ lecture: 1 });
+quizSchema.index({ lectures: 1 });
+
 // Update totalQuestions when questions are modified
 quizSchema.pre('save', function(next) {
   this.totalQuestions = this.questions.length;
   next();
 });
 
+// Query filter for quizzes students are allowed to see
+quizSchema.statics.studentVisibleFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    $or: [
+      { status: 'published' },
+      { status: 'scheduled', publishAt: { $lte: now } }
+    ]
+  };
+};
+
+// Quizzes created before the review workflow have no status; they were
+// already visible to students, so they count as published
+quizSchema.statics.backfillStatus = function() {
+  return this.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'published' } }
+  );
+};
+
+quizSchema.methods.isVisibleToStudents = function(now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.status === 'published') return true;
+  return this.status === 'scheduled' && !!this.publishAt && this.publishAt <= now;
+};
+
+// Work out whether a student can take the quiz right now.
+// state is one of: upcoming, open, late (accepted with penalty), closed
+quizSchema.methods.getAvailabilityFor = function(studentId, now = new Date()) {
+  const availability = this.availability || {};
+  const extension = studentId
+    ? (this.extensions || []).find(ext => ext.student.toString() === studentId.toString())
+    : null;
+
+  const opensAt = availability.opensAt || null;
+  const dueAt = extension?.dueAt || availability.dueAt || null;
+  let closesAt = extension?.closesAt || availability.closesAt || null;
+
+  // An extended due date also keeps the quiz open until then
+  if (closesAt && dueAt && dueAt > closesAt) {
+    closesAt = dueAt;
+  }
+
+  let state = 'open';
+  if (opensAt && now < opensAt) {
+    state = 'upcoming';
+  } else if (closesAt && now > closesAt) {
+    state = 'closed';
+  } else if (dueAt && now > dueAt) {
+    state = availability.latePolicy === 'accept-with-penalty' ? 'late' : 'closed';
+  }
+
+  return {
+    state,
+    opensAt,
+    dueAt,
+    closesAt,
+    latePolicy: availability.latePolicy || 'reject',
+    latePenalty: state === 'late' ? availability.latePenalty : 0,
+    hasExtension: !!extension,
+    canSubmit: state === 'open' || state === 'late'
+  };
+};
+
+quizSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
 module.exports = mongoose.model('Quiz', quizSchema);
+module.exports.QUIZ_STATUSES = QUIZ_STATUSES;
+module.exports.questionSchema = questionSchema;
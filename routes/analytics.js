@@ -129,7 +129,8 @@ router.get('/quiz/:quizId', authenticateToken, async (req, res) => {
     }
 
     const progressRecords = await Progress.find({ quiz: quiz._id })
-      .populate('student', 'name');
+      .populate('student', 'name')
+      .populate('attempts');
 
     // Question-level analytics
     const questionAnalytics = quiz.questions.map(question => {
@@ -155,10 +156,22 @@ router.get('/quiz/:quizId', authenticateToken, async (req, res) => {
         accuracy: Math.round(accuracy),
         totalAnswers,
         correctAnswers,
-        averageTime: Math.round(averageTime)
+        averageTime: Math.round(averageTime),
+        itemStatistics: question.stats?.calibratedAt ? question.stats : null
       };
     });
 
+    // Questions the item calibrator thinks need a second look
+    const flaggedQuestions = quiz.questions
+      .filter(question => question.stats?.flags?.length > 0)
+      .map(question => ({
+        questionId: question.questionId,
+        text: question.text,
+        difficulty: question.difficulty,
+        empiricalDifficulty: question.stats.empiricalDifficulty,
+        flags: question.stats.flags
+      }));
+
     // Topic performance
     const topicPerformance = calculateTopicPerformance(progressRecords, quiz.topics);
 
@@ -183,6 +196,7 @@ router.get('/quiz/:quizId', authenticateToken, async (req, res) => {
         topics: quiz.topics
       },
       questionAnalytics,
+      flaggedQuestions,
       topicPerformance,
       studentPerformance,
       scoreDistribution,
@@ -0,0 +1,416 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const Quiz = require('../models/Quiz');
+const Lecture = require('../models/Lecture');
+const BankQuestion = require('../models/BankQuestion');
+const {
+  QUESTION_TYPES,
+  DIFFICULTIES,
+  DIFFICULTY_POINTS,
+  validateQuestion,
+  applyQuestionChanges,
+  recalculateTopics
+} = require('../services/questionService');
+const {
+  fingerprint,
+  questionContent,
+  saveQuestions,
+  drawQuestions,
+  toQuizQuestion,
+  markUsed
+} = require('../services/questionBank');
+const { lintQuestion } = require('../services/questionLinter');
+const router = express.Router();
+
+const MAX_DRAW = 100; // questions per assembled quiz
+const PAGE_SIZE = 50;
+
+// Middleware to verify JWT token
+const authenticateToken = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    
+    if (!token) {
+      return res.status(401).json({ message: 'No token provided' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+    const user = await User.findById(decoded.userId);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('❌ Token verification error:', error.message);
+    res.status(401).json({ message: 'Invalid token' });
+  }
+};
+
+// The question bank is instructor-only; every route works on one of the
+// instructor's own classes
+const findOwnedClass = (classId, user) => {
+  if (!mongoose.isValidObjectId(classId)) return null;
+  return Class.findOne({ _id: classId, instructor: user._id, isActive: true });
+};
+
+const findOwnedQuestion = async (questionId, user) => {
+  if (!mongoose.isValidObjectId(questionId)) return null;
+  const question = await BankQuestion.findById(questionId);
+  return question && question.instructor.toString() === user._id.toString() ? question : null;
+};
+
+const parseTags = (tags) => (Array.isArray(tags)
+  ? [...new Set(tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()).filter(Boolean))]
+  : null);
+
+// List bank questions of a class, filtered by topic, difficulty, type, source lecture or tag
+router.get('/questions', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'instructor') {
+      return res.status(403).json({ message: 'Only instructors can use the question bank' });
+    }
+
+    const { classId, topic, difficulty, type, lecture, tag } = req.query;
+    const classDoc = await findOwnedClass(classId, req.user);
+    if (!classDoc) {
+      return res.status(404).json({ message: 'Class not found or access denied' });
+    }
+
+    const filter = { class: classDoc._id };
+    if (topic) filter.topic = topic;
+    if (difficulty) filter.difficulty = difficulty;
+    if (type) filter.type = type;
+    if (lecture && mongoose.isValidObjectId(lecture)) filter.lecture = lecture;
+    if (tag) filter.tags = tag;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const [questions, total] = await Promise.all([
+      BankQuestion.find(filter)
+        .sort({ topic: 1, createdAt: -1 })
+        .skip((page - 1) * PAGE_SIZE)
+        .limit(PAGE_SIZE),
+      BankQuestion.countDocuments(filter)
+    ]);
+
+    res.json({ questions, total, page, pageSize: PAGE_SIZE });
+  } catch (error) {
+    console.error('Get bank questions error:', error);
+    res.status(500).json({ message: 'Error fetching bank questions' });
+  }
+});
+
+// Question counts per topic and difficulty, for planning quiz draws
+router.get('/summary', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'instructor') {
+      return res.status(403).json({ message: 'Only instructors can use the question bank' });
+    }
+
+    const classDoc = await findOwnedClass(req.query.classId, req.user);
+    if (!classDoc) {
+      return res.status(404).json({ message: 'Class not found or access denied' });
+    }
+
+    const counts = await BankQuestion.aggregate([
+      { $match: { class: classDoc._id } },
+      { $group: { _id: { topic: '$topic', difficulty: '$difficulty' }, count: { $sum: 1 } } }
+    ]);
+
+    const topics = new Map();
+    counts.forEach(({ _id, count }) => {
+      if (!topics.has(_id.topic)) {
+        topics.set(_id.topic, { topic: _id.topic, total: 0, difficulties: {} });
+      }
+      const entry = topics.get(_id.topic);
+      entry.total += count;
+      entry.difficulties[_id.difficulty] = count;
+    });
+
+    const summary = [...topics.values()].sort((a, b) => a.topic.localeCompare(b.topic));
+    res.json({
+      topics: summary,
+      totalQuestions: summary.reduce((sum, entry) => sum + entry.total, 0)
+    });
+  } catch (error) {
+    console.error('Get bank summary error:', error);
+    res.status(500).json({ message: 'Error fetching question bank summary' });
+  }
+});
+
+// Add a hand-written question to a class's bank
+router.post('/questions', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'instructor') {
+      return res.status(403).json({ message: 'Only instructors can use the question bank' });
+    }
+
+    const classDoc = await findOwnedClass(req.body.classId, req.user);
+    if (!classDoc) {
+      return res.status(404).json({ message: 'Class not found or access denied' });
+    }
+
+    const question = applyQuestionChanges({
+      options: [],
+      explanation: '',
+      points: DIFFICULTY_POINTS[req.body.difficulty] || 10
+    }, req.body);
+
+    const errors = validateQuestion(question);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid question', errors });
+    }
+
+    const existing = await BankQuestion.findOne({ class: classDoc._id, fingerprint: fingerprint(question) });
+    if (existing) {
+      return res.status(409).json({ message: 'This question is already in the bank', question: existing });
+    }
+
+    const bankQuestion = new BankQuestion({
+      ...questionContent(question),
+      class: classDoc._id,
+      instructor: req.user._id,
+      tags: parseTags(req.body.tags) || [],
+      fingerprint: fingerprint(question)
+    });
+    await bankQuestion.save();
+
+    res.status(201).json({ message: 'Question added to the bank', question: bankQuestion });
+  } catch (error) {
+    console.error('Add bank question error:', error);
+    res.status(500).json({ message: 'Error adding question to the bank' });
+  }
+});
+
+// Copy questions of an existing quiz into its class's bank
+router.post('/import/:quizId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.quizId)) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (quiz.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { questionIds } = req.body;
+    const questions = Array.isArray(questionIds)
+      ? quiz.questions.filter(question => questionIds.includes(question.questionId))
+      : quiz.questions;
+
+    if (questions.length === 0) {
+      return res.status(400).json({ message: 'No questions to import' });
+    }
+
+    const added = await saveQuestions(quiz, questions);
+
+    res.json({
+      message: `Added ${added} question(s) to the bank`,
+      added,
+      alreadyInBank: questions.length - added
+    });
+  } catch (error) {
+    console.error('Import bank questions error:', error);
+    res.status(500).json({ message: 'Error importing questions into the bank' });
+  }
+});
+
+// Get a bank question
+router.get('/questions/:questionId', authenticateToken, async (req, res) => {
+  try {
+    const question = await findOwnedQuestion(req.params.questionId, req.user);
+    if (!question) {
+      return res.status(404).json({ message: 'Bank question not found' });
+    }
+
+    res.json({ question });
+  } catch (error) {
+    console.error('Get bank question error:', error);
+    res.status(500).json({ message: 'Error fetching bank question' });
+  }
+});
+
+// Edit a bank question; quizzes that already use it keep their copy
+router.put('/questions/:questionId', authenticateToken, async (req, res) => {
+  try {
+    const question = await findOwnedQuestion(req.params.questionId, req.user);
+    if (!question) {
+      return res.status(404).json({ message: 'Bank question not found' });
+    }
+
+    const updated = applyQuestionChanges(question.toObject(), req.body);
+
+    const errors = validateQuestion(updated);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid question', errors });
+    }
+
+    const updatedFingerprint = fingerprint(updated);
+    const duplicate = await BankQuestion.findOne({
+      class: question.class,
+      fingerprint: updatedFingerprint,
+      _id: { $ne: question._id }
+    });
+    if (duplicate) {
+      return res.status(409).json({ message: 'Another bank question already has this text', question: duplicate });
+    }
+
+    question.set(questionContent(updated));
+    question.fingerprint = updatedFingerprint;
+    const tags = parseTags(req.body.tags);
+    if (tags) question.tags = tags;
+    await question.save();
+
+    res.json({ message: 'Bank question updated', question });
+  } catch (error) {
+    console.error('Update bank question error:', error);
+    res.status(500).json({ message: 'Error updating bank question' });
+  }
+});
+
+// Remove a question from the bank
+router.delete('/questions/:questionId', authenticateToken, async (req, res) => {
+  try {
+    const question = await findOwnedQuestion(req.params.questionId, req.user);
+    if (!question) {
+      return res.status(404).json({ message: 'Bank question not found' });
+    }
+
+    await question.deleteOne();
+
+    res.json({ message: 'Bank question deleted' });
+  } catch (error) {
+    console.error('Delete bank question error:', error);
+    res.status(500).json({ message: 'Error deleting bank question' });
+  }
+});
+
+// Assemble a draft quiz by drawing questions from the bank. `draws` is a list
+// of { topic, difficulty, type, lecture, count }; each field but count is optional.
+router.post('/quizzes', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'instructor') {
+      return res.status(403).json({ message: 'Only instructors can use the question bank' });
+    }
+
+    const { classId, title, description, timeLimit, draws } = req.body;
+    const classDoc = await findOwnedClass(classId, req.user);
+    if (!classDoc) {
+      return res.status(404).json({ message: 'Class not found or access denied' });
+    }
+
+    if (!title || !String(title).trim()) {
+      return res.status(400).json({ message: 'Title is required' });
+    }
+
+    // Minutes; used for attempt deadlines, so it must be a whole positive number
+    if (timeLimit !== undefined && timeLimit !== null && !(Number.isInteger(timeLimit) && timeLimit > 0)) {
+      return res.status(400).json({ message: 'Time limit must be a positive whole number of minutes' });
+    }
+
+    const errors = [];
+    const requests = (Array.isArray(draws) ? draws : []).map((draw, index) => {
+      const count = parseInt(draw?.count);
+      if (!(count >= 1)) errors.push(`Draw ${index + 1}: count must be a positive number`);
+      if (draw?.difficulty && !DIFFICULTIES.includes(draw.difficulty)) {
+        errors.push(`Draw ${index + 1}: difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+      }
+      if (draw?.type && !QUESTION_TYPES.includes(draw.type)) {
+        errors.push(`Draw ${index + 1}: type must be one of: ${QUESTION_TYPES.join(', ')}`);
+      }
+      if (draw?.lecture && !mongoose.isValidObjectId(draw.lecture)) {
+        errors.push(`Draw ${index + 1}: lecture is not a valid id`);
+      }
+      return {
+        topic: draw?.topic || null,
+        difficulty: draw?.difficulty || null,
+        type: draw?.type || null,
+        lecture: draw?.lecture || null,
+        count
+      };
+    });
+
+    if (requests.length === 0) {
+      errors.push('At least one draw is required');
+    }
+    if (requests.reduce((sum, draw) => sum + (draw.count || 0), 0) > MAX_DRAW) {
+      errors.push(`A quiz can draw at most ${MAX_DRAW} questions`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid draws', errors });
+    }
+
+    const { questions: drawn, shortfalls } = await drawQuestions(classDoc._id, requests);
+    if (drawn.length === 0) {
+      return res.status(400).json({ message: 'The question bank has no matching questions', shortfalls });
+    }
+
+    // Source lectures of the drawn questions, in draw order
+    const lectureIds = [...new Set(drawn.filter(q => q.lecture).map(q => q.lecture.toString()))];
+    const lectures = await Lecture.find({ _id: { $in: lectureIds } }).select('title');
+    const lectureTitles = lectureIds
+      .map(id => lectures.find(lecture => lecture._id.toString() === id)?.title)
+      .filter(Boolean);
+
+    const questions = [];
+    drawn.forEach((bankQuestion, index) => {
+      const question = toQuizQuestion(bankQuestion, `q${index + 1}`);
+      question.lint = lintQuestion(question, questions);
+      questions.push(question);
+    });
+
+    const quiz = new Quiz({
+      title: String(title).trim(),
+      description: description || '',
+      instructor: req.user._id,
+      class: classDoc._id,
+      lecture: lectureIds[0] || null,
+      lectures: lectureIds,
+      lectureId: lectureIds[0] || 'question-bank',
+      lectureTitle: lectureTitles.join(' + ') || 'Question bank',
+      questions,
+      timeLimit: timeLimit ?? 30,
+      isActive: true,
+      status: 'draft',
+      settings: {
+        allowRetake: true,
+        showCorrectAnswers: true
+      }
+    });
+    recalculateTopics(quiz);
+    await quiz.save();
+
+    classDoc.quizzes.push(quiz._id);
+    await classDoc.save();
+    await markUsed(drawn);
+
+    res.status(201).json({
+      message: shortfalls.length > 0
+        ? `Quiz created with ${questions.length} question(s); the bank could not fill every draw`
+        : 'Quiz created from the question bank',
+      quiz: {
+        id: quiz._id,
+        title: quiz.title,
+        status: quiz.status,
+        totalQuestions: quiz.totalQuestions,
+        topics: quiz.topics
+      },
+      shortfalls
+    });
+  } catch (error) {
+    console.error('Assemble quiz error:', error);
+    res.status(500).json({ message: 'Error assembling quiz from the question bank' });
+  }
+});
+
+module.exports = router;
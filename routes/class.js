@@ -4,6 +4,7 @@ const User = require('../models/User');
 const Class = require('../models/Class');
 const Quiz = require('../models/Quiz');
 const { Progress } = require('../models/Progress');
+const { PROVIDER_NAMES } = require('../services/providers');
 const router = express.Router();
 
 // Middleware to verify JWT token
@@ -40,6 +41,13 @@ router.post('/create', authenticateToken, async (req, res) => {
 
     const { name, description, settings } = req.body;
 
+    if (settings?.aiProvider != null && !PROVIDER_NAMES.includes(settings.aiProvider)) {
+      return res.status(400).json({
+        message: 'Invalid AI provider',
+        details: `AI provider must be one of: ${PROVIDER_NAMES.join(', ')}`
+      });
+    }
+
     // Generate unique class code
     const code = await Class.generateClassCode();
 
@@ -52,7 +60,8 @@ router.post('/create', authenticateToken, async (req, res) => {
       settings: {
         allowStudentJoin: settings?.allowStudentJoin ?? true,
         maxStudents: settings?.maxStudents ?? 100,
-        requireApproval: settings?.requireApproval ?? false
+        requireApproval: settings?.requireApproval ?? false,
+        aiProvider: settings?.aiProvider ?? null
       }
     });
 
@@ -164,7 +173,7 @@ router.get('/instructor', authenticateToken, async (req, res) => {
       isActive: true
     })
     .populate('students.student', 'name email')
-    .populate('quizzes', 'title totalQuestions timeLimit isActive')
+    .populate('quizzes', 'title totalQuestions timeLimit isActive status')
     .sort({ createdAt: -1 });
 
     res.json({
@@ -204,7 +213,7 @@ router.get('/student', authenticateToken, async (req, res) => {
       isActive: true
     })
     .populate('instructor', 'name email')
-    .populate('quizzes', 'title totalQuestions timeLimit isActive')
+    .populate('quizzes', 'title totalQuestions timeLimit isActive status publishAt')
     .sort({ createdAt: -1 });
 
     res.json({
@@ -224,7 +233,7 @@ router.get('/student', authenticateToken, async (req, res) => {
             email: cls.instructor.email
           },
           stats: cls.stats,
-          quizzes: cls.quizzes.filter(q => q.isActive),
+          quizzes: cls.quizzes.filter(q => q.isVisibleToStudents()),
           joinedAt: studentInfo.joinedAt,
           createdAt: cls.createdAt
         };
@@ -244,7 +253,7 @@ router.get('/:classId', authenticateToken, async (req, res) => {
     const classDetails = await Class.findById(classId)
       .populate('instructor', 'name email')
       .populate('students.student', 'name email')
-      .populate('quizzes', 'title description totalQuestions timeLimit isActive createdAt');
+      .populate('quizzes', 'title description totalQuestions timeLimit isActive status publishAt createdAt');
 
     if (!classDetails || !classDetails.isActive) {
       return res.status(404).json({ message: 'Class not found' });
@@ -280,7 +289,9 @@ router.get('/:classId', authenticateToken, async (req, res) => {
           email: s.student.email,
           joinedAt: s.joinedAt
         })),
-        quizzes: classDetails.quizzes.filter(q => q.isActive),
+        quizzes: classDetails.quizzes.filter(q =>
+          req.user.role === 'instructor' ? q.isActive : q.isVisibleToStudents()
+        ),
         createdAt: classDetails.createdAt
       }
     });
@@ -344,6 +355,13 @@ router.put('/:classId/settings', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Class not found or access denied' });
     }
 
+    if (settings?.aiProvider != null && !PROVIDER_NAMES.includes(settings.aiProvider)) {
+      return res.status(400).json({
+        message: 'Invalid AI provider',
+        details: `AI provider must be one of: ${PROVIDER_NAMES.join(', ')}`
+      });
+    }
+
     // Update settings
     if (settings) {
       classToUpdate.settings = {
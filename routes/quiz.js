@@ -4,8 +4,35 @@ const User = require('../models/User');
 const Quiz = require('../models/Quiz');
 const Class = require('../models/Class');
 const { Progress, Attempt } = require('../models/Progress');
-const GameState = require('../models/GameState');
+const PracticeSession = require('../models/PracticeSession');
 const aiService = require('../services/aiService');
+const {
+  computeDeadline,
+  isExpired,
+  getTimeRemaining,
+  getCurrentQuestionId,
+  wasServed,
+  serveQuestion,
+  recordTopicResult,
+  updateTopicLists,
+  getAttemptAllowance,
+  finalizeAttempt
+} = require('../services/attemptService');
+const {
+  toStudentQuestion,
+  toRevealedQuestion,
+  toSourceReference,
+  revealsAfterAnswer,
+  toResultQuestions,
+  toResultAnswers,
+  toStudentBreakdown
+} = require('../services/questionSerializer');
+const { checkAnswerFormat, gradeAnswer } = require('../services/gradingService');
+const { selectNextQuestion, estimateAbilities, describeEstimate } = require('../services/adaptiveEngine');
+const { buildForm, questionOrder, nextFormQuestion } = require('../services/quizForms');
+const { getLectureSource } = require('../services/lectureService');
+const { attachCitations } = require('../services/citationService');
+const { lectureContext } = require('../services/lecturePlanner');
 const router = express.Router();
 
 // Middleware to verify JWT token
@@ -46,15 +73,15 @@ router.get('/available', authenticateToken, async (req, res) => {
       .map(ec => ec.class);
 
     const quizzes = await Quiz.find({ 
-      isActive: true,
+      ...Quiz.studentVisibleFilter(),
       class: { $in: enrolledClassIds }
     })
-      .select('title description totalQuestions timeLimit topics createdAt stats class')
+      .select('title description totalQuestions timeLimit topics createdAt stats class availability extensions')
       .populate('instructor', 'name')
       .populate('class', 'name code')
       .sort({ createdAt: -1 });
 
-    res.json({ quizzes });
+    res.json({ quizzes: quizzes.map(quiz => withStudentAvailability(quiz, req.user._id)) });
   } catch (error) {
     console.error('Get available quizzes error:', error);
     res.status(500).json({ message: 'Error fetching quizzes' });
@@ -96,18 +123,20 @@ router.get('/class/:classId', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied to this class' });
     }
 
-    // Get quizzes for this class
+    // Get quizzes for this class (students only see published quizzes)
     const quizzes = await Quiz.find({ 
       class: classId,
-      isActive: true
+      ...(req.user.role === 'student' ? Quiz.studentVisibleFilter() : { isActive: true })
     })
-      .select('title description totalQuestions timeLimit topics createdAt stats adaptiveMode adaptiveSettings')
+      .select('title description totalQuestions timeLimit topics createdAt stats adaptiveMode adaptiveSettings availability extensions')
       .populate('instructor', 'name email')
       .populate('class', 'name code')
       .sort({ createdAt: -1 });
 
     res.json({ 
-      quizzes,
+      quizzes: req.user.role === 'student'
+        ? quizzes.map(quiz => withStudentAvailability(quiz, req.user._id))
+        : quizzes,
       class: quizzes.length > 0 ? quizzes[0].class : null,
       totalQuizzes: quizzes.length
     });
@@ -149,7 +178,7 @@ router.get('/instructor/class/:classId', authenticateToken, async (req, res) =>
     const quizzes = await Quiz.find({ 
       class: classId
     })
-      .select('title description totalQuestions timeLimit topics createdAt stats isActive adaptiveMode adaptiveSettings')
+      .select('title description totalQuestions timeLimit topics createdAt stats isActive status publishAt availability extensions adaptiveMode adaptiveSettings')
       .populate('class', 'name code')
       .sort({ createdAt: -1 });
 
@@ -203,11 +232,20 @@ router.post('/start/:quizId', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'You are not enrolled in this class' });
     }
 
-    // Check if quiz is active
-    if (!quiz.isActive) {
+    // Check if quiz is active and published
+    if (!quiz.isVisibleToStudents()) {
       return res.status(400).json({ message: 'Quiz is not active' });
     }
 
+    // Check the availability window (including any extension for this student)
+    const availability = quiz.getAvailabilityFor(req.user._id);
+    if (!availability.canSubmit) {
+      return res.status(403).json({
+        message: availability.state === 'upcoming' ? 'Quiz is not open yet' : 'Quiz is closed',
+        availability
+      });
+    }
+
     // Get or create progress record
     let progress = await Progress.findOne({
       student: req.user._id,
@@ -233,17 +271,79 @@ router.post('/start/:quizId', authenticateToken, async (req, res) => {
       await progress.save();
     }
 
-    // Create new attempt
+    // Resume an unfinished attempt instead of starting a new one
+    const unfinishedAttempt = await Attempt.findOne({
+      student: req.user._id,
+      quiz: quiz._id,
+      isCompleted: false
+    }).sort({ createdAt: -1 });
+
+    if (unfinishedAttempt) {
+      if (!isExpired(unfinishedAttempt, quiz)) {
+        // Attempts started before questions were tracked have nothing served yet
+        if (!getCurrentQuestionId(unfinishedAttempt)) {
+          serveQuestion(unfinishedAttempt, pickNextQuestion(quiz, unfinishedAttempt, progress));
+          await unfinishedAttempt.save();
+        }
+
+        const completedCount = await Attempt.countDocuments({
+          student: req.user._id,
+          quiz: quiz._id,
+          isCompleted: true
+        });
+
+        return res.json({
+          ...startResponse(unfinishedAttempt, quiz, availability),
+          message: 'Resumed unfinished attempt',
+          resumed: true,
+          attemptNumber: completedCount + 1
+        });
+      }
+
+      await finalizeAttempt(unfinishedAttempt, quiz, 'time-expired');
+    }
+
+    // Enforce retake rules, attempt limit and cooldown
+    const completedAttempts = await Attempt.find({
+      student: req.user._id,
+      quiz: quiz._id,
+      isCompleted: true
+    }).sort({ completedAt: 1 }).select('score completedAt');
+
+    const allowance = getAttemptAllowance(quiz, completedAttempts);
+    if (!allowance.allowed) {
+      return res.status(403).json({ message: allowance.reason, attempts: allowance });
+    }
+
+    // Create new attempt with a server-side deadline and the student's own
+    // form: drawn questions, question order and option order
+    const startedAt = new Date();
+    const form = buildForm(quiz, progress);
     const attempt = new Attempt({
       student: req.user._id,
       quiz: quiz._id,
+      startedAt,
+      deadline: computeDeadline(quiz, availability, startedAt),
+      form,
       answers: [],
-      totalQuestions: quiz.totalQuestions,
+      totalQuestions: form.length,
       timeSpent: 0,
       correctAnswers: 0,
-      isCompleted: false
+      isCompleted: false,
+      isLate: availability.state === 'late',
+      latePenalty: availability.latePenalty
     });
 
+    // Get first question (adaptive or the first on the form)
+    let firstQuestion;
+    if (quiz.settings.adaptiveMode) {
+      // The most informative question at the student's prior ability
+      firstQuestion = selectNextQuestion(quiz, attempt, progress).question || quiz.questions[0];
+    } else {
+      firstQuestion = nextFormQuestion(quiz, attempt);
+    }
+
+    serveQuestion(attempt, firstQuestion);
     await attempt.save();
 
     // Add attempt to progress (store the full attempt object, not just the ID)
@@ -254,29 +354,12 @@ router.post('/start/:quizId', authenticateToken, async (req, res) => {
     // Save progress
     await progress.save();
 
-    // Get first question (adaptive or random)
-    let firstQuestion;
-    if (quiz.settings.adaptiveMode) {
-      // Find the first easy question for adaptive tests
-      firstQuestion = quiz.questions.find(q => q.difficulty === 'easy') || quiz.questions[0];
-    } else {
-      firstQuestion = quiz.questions[0];
-    }
-
     res.json({
+      ...startResponse(attempt, quiz, availability),
       message: 'Quiz started successfully',
-      attemptId: attempt._id,
-      quiz: {
-        id: quiz._id,
-        title: quiz.title,
-        totalQuestions: quiz.totalQuestions,
-        timeLimit: quiz.timeLimit,
-        adaptiveMode: quiz.settings.adaptiveMode,
-        adaptiveSettings: quiz.settings.adaptiveSettings
-      },
-      currentQuestion: firstQuestion,
-      questionNumber: 1,
-      timeRemaining: quiz.timeLimit * 60 // Convert to seconds
+      resumed: false,
+      attemptNumber: allowance.attemptsUsed + 1,
+      attemptsRemaining: allowance.attemptsRemaining === null ? null : allowance.attemptsRemaining - 1
     });
   } catch (error) {
     console.error('Start quiz error:', error);
@@ -291,7 +374,7 @@ router.post('/submit-answer', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Only students can submit answers' });
     }
 
-    const { attemptId, questionId, answer, timeSpent } = req.body;
+    const { attemptId, questionId, answer, clientRequestId } = req.body;
 
     const attempt = await Attempt.findById(attemptId);
     if (!attempt) {
@@ -305,113 +388,136 @@ router.post('/submit-answer', authenticateToken, async (req, res) => {
 
     // Get quiz to find the question
     const quiz = await Quiz.findById(attempt.quiz);
+
+    // A retried request (same clientRequestId) gets the original outcome
+    // instead of being recorded twice
+    const previousSubmission = clientRequestId &&
+      attempt.answers.find(a => a.clientRequestId === clientRequestId);
+    if (previousSubmission) {
+      const previousQuestion = quiz.questions.find(q => q.questionId === previousSubmission.questionId);
+      return res.json({
+        ...(attempt.isCompleted
+          ? completionResponse(attempt, quiz)
+          : answerResponse(attempt, quiz, previousQuestion, previousSubmission)),
+        duplicate: true
+      });
+    }
+
+    if (attempt.isCompleted) {
+      return res.status(409).json({ message: 'This quiz attempt is already completed' });
+    }
+
+    // Time is up: submit what the student has answered so far
+    if (isExpired(attempt, quiz)) {
+      await finalizeAttempt(attempt, quiz, 'time-expired');
+      return res.status(409).json({
+        ...completionResponse(attempt, quiz),
+        message: 'Time is up! Your quiz was submitted automatically.',
+        timeExpired: true,
+        answerRecorded: false
+      });
+    }
+
     const question = quiz.questions.find(q => q.questionId === questionId);
     
     if (!question) {
       return res.status(404).json({ message: 'Question not found' });
     }
 
-    // Check if answer is correct
-    let isCorrect = false;
-    if (question.type === 'multiple-choice' || question.type === 'true-false') {
-      isCorrect = answer === question.correctAnswer;
-    } else if (question.type === 'short-answer') {
-      // For short answers, do a simple comparison (could be enhanced with AI)
-      isCorrect = answer.toLowerCase().trim() === question.correctAnswer.toLowerCase().trim();
+    // Only the question currently served in this attempt can be answered
+    if (attempt.answers.some(a => a.questionId === questionId)) {
+      return res.status(409).json({ message: 'This question has already been answered' });
+    }
+
+    const currentQuestionId = getCurrentQuestionId(attempt);
+    if (attempt.servedQuestions.length > 0 && questionId !== currentQuestionId) {
+      return res.status(400).json({
+        message: 'This question was not served as the current question of this attempt',
+        currentQuestionId
+      });
     }
 
+    // Answers are only accepted while the quiz is open (or late with penalty)
+    const availability = quiz.getAvailabilityFor(req.user._id);
+    if (!availability.canSubmit) {
+      return res.status(403).json({ message: 'Quiz is closed', availability });
+    }
+
+    if (availability.state === 'late' && !attempt.isLate) {
+      attempt.isLate = true;
+      attempt.latePenalty = availability.latePenalty;
+    }
+
+    const formatError = checkAnswerFormat(question, answer);
+    if (formatError) {
+      return res.status(400).json({ message: formatError });
+    }
+
+    // Grade the answer (short answers may go through fuzzy matching or the LLM)
+    const grade = await gradeAnswer(question, answer, quiz);
+    const { isCorrect } = grade;
+
+    // Time per question is measured on the server, from the previous answer
+    // (or the start of the attempt) to now
+    const now = new Date();
+    const previousAnswer = attempt.answers[attempt.answers.length - 1];
+    const since = previousAnswer ? previousAnswer.timestamp : (attempt.startedAt || attempt.createdAt);
+    const questionTime = Math.max(0, Math.round((now - since) / 1000));
+
     // Add answer to attempt
     const answerData = {
       questionId,
       answer,
       isCorrect,
-      timeSpent: timeSpent || 0,
-      timestamp: new Date()
+      credit: grade.credit,
+      confidence: grade.confidence,
+      gradingMethod: grade.gradingMethod,
+      feedback: grade.feedback,
+      needsReview: grade.needsReview,
+      clientRequestId,
+      timeSpent: questionTime,
+      timestamp: now
     };
 
     attempt.answers.push(answerData);
-    attempt.timeSpent += timeSpent || 0;
+    attempt.timeSpent += questionTime;
 
     if (isCorrect) {
       attempt.correctAnswers += 1;
     }
 
-    await attempt.save();
-
-    // Update progress
     const progress = await Progress.findOne({
       student: req.user._id,
       quiz: attempt.quiz
     });
 
+    // Serve the next question as part of the same save
+    const isLastQuestion = attempt.answers.length >= attempt.totalQuestions;
+    if (!isLastQuestion) {
+      serveQuestion(attempt, pickNextQuestion(quiz, attempt, progress));
+    }
+
+    // Concurrent submissions for the same attempt fail here with a VersionError
+    await attempt.save();
+
+    // Update progress
     if (progress) {
       // Update topic mastery
-      const topicIndex = progress.topicMastery.findIndex(tm => tm.topic === question.topic);
-      if (topicIndex !== -1) {
-        progress.topicMastery[topicIndex].questionsAnswered += 1;
-        if (isCorrect) {
-          progress.topicMastery[topicIndex].correctAnswers += 1;
-        }
-        progress.topicMastery[topicIndex].mastery = 
-          (progress.topicMastery[topicIndex].correctAnswers / progress.topicMastery[topicIndex].questionsAnswered) * 100;
-      }
+      recordTopicResult(progress, question.topic, isCorrect);
+      await progress.save();
     }
 
     // Check if quiz is complete
-    if (attempt.answers.length >= quiz.totalQuestions) {
-      // Calculate final score
-      attempt.score = (attempt.correctAnswers / quiz.totalQuestions) * 100;
-      attempt.isCompleted = true;
-      attempt.completedAt = new Date();
-      await attempt.save();
-
-      // Update progress
-      if (progress) {
-        if (attempt.score > progress.bestScore) {
-          progress.bestScore = attempt.score;
-        }
-
-        // Update weak and strong topics
-        progress.weakTopics = progress.topicMastery
-          .filter(tm => tm.mastery < 70 && tm.questionsAnswered > 0)
-          .map(tm => tm.topic);
-        
-        progress.strongTopics = progress.topicMastery
-          .filter(tm => tm.mastery >= 80 && tm.questionsAnswered > 0)
-          .map(tm => tm.topic);
-
-        await progress.save();
-      }
-
-      // Update game state
-      await updateGameState(req.user._id, attempt, quiz);
-
-      return res.json({
-        message: 'Quiz completed!',
-        completed: true,
-        score: attempt.score,
-        correctAnswers: attempt.correctAnswers,
-        totalQuestions: quiz.totalQuestions,
-        timeSpent: attempt.timeSpent,
-        nextQuestion: null
-      });
+    if (isLastQuestion || !getCurrentQuestionId(attempt)) {
+      await finalizeAttempt(attempt, quiz, 'submitted');
+      return res.json(completionResponse(attempt, quiz));
     }
 
-    // Get next question (adaptive logic)
-    const nextQuestion = getNextQuestion(quiz, attempt, progress);
-    const questionNumber = attempt.answers.length + 1;
-
-    res.json({
-      message: 'Answer submitted successfully',
-      completed: false,
-      isCorrect,
-      correctAnswer: question.correctAnswer,
-      explanation: question.explanation,
-      nextQuestion,
-      questionNumber,
-      timeRemaining: quiz.timeLimit * 60 - attempt.timeSpent
-    });
+    res.json(answerResponse(attempt, quiz, question, answerData));
   } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Another answer for this attempt was submitted at the same time. Please retry.' });
+    }
     console.error('Submit answer error:', error);
     res.status(500).json({ message: 'Error submitting answer' });
   }
@@ -421,7 +527,7 @@ router.post('/submit-answer', authenticateToken, async (req, res) => {
 router.get('/results/:attemptId', authenticateToken, async (req, res) => {
   try {
     const attempt = await Attempt.findById(req.params.attemptId)
-      .populate('quiz', 'title questions topics');
+      .populate('quiz', 'title questions topics settings availability extensions timeLimit');
 
     if (!attempt) {
       return res.status(404).json({ message: 'Quiz attempt not found' });
@@ -445,13 +551,22 @@ router.get('/results/:attemptId', authenticateToken, async (req, res) => {
         correctAnswers: attempt.correctAnswers,
         totalQuestions: attempt.totalQuestions,
         timeSpent: attempt.timeSpent,
+        startedAt: attempt.startedAt,
+        deadline: attempt.deadline,
         completedAt: attempt.completedAt,
-        answers: attempt.answers
+        completionReason: attempt.completionReason,
+        isLate: attempt.isLate,
+        latePenalty: attempt.latePenalty,
+        scoreBreakdown: toStudentBreakdown(attempt.quiz, req.user._id, attempt),
+        abilityEstimate: attempt.abilityEstimate,
+        topicAbilities: attempt.topicAbilities,
+        stopReason: attempt.stopReason,
+        answers: toResultAnswers(attempt.quiz, req.user._id, attempt)
       },
       quiz: {
         id: attempt.quiz._id,
         title: attempt.quiz.title,
-        questions: attempt.quiz.questions,
+        questions: toResultQuestions(attempt.quiz, req.user._id, attempt),
         topics: attempt.quiz.topics
       },
       progress: progress ? {
@@ -468,13 +583,107 @@ router.get('/results/:attemptId', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to get next question (adaptive logic)
+// Helper function to attach the student's availability to a quiz listing.
+// Other students' extensions are never sent to the client.
+function withStudentAvailability(quiz, studentId) {
+  const { extensions, ...quizData } = quiz.toObject();
+  return {
+    ...quizData,
+    availability: quiz.getAvailabilityFor(studentId)
+  };
+}
+
+// Helper function to build the response for a started or resumed attempt
+function startResponse(attempt, quiz, availability) {
+  const currentQuestion = quiz.questions.find(q => q.questionId === getCurrentQuestionId(attempt));
+
+  return {
+    attemptId: attempt._id,
+    quiz: {
+      id: quiz._id,
+      title: quiz.title,
+      totalQuestions: attempt.totalQuestions,
+      timeLimit: quiz.timeLimit,
+      adaptiveMode: quiz.settings.adaptiveMode,
+      adaptiveSettings: quiz.settings.adaptiveSettings,
+      availability
+    },
+    currentQuestion: toStudentQuestion(currentQuestion, { order: questionOrder(attempt, currentQuestion?.questionId) }),
+    questionNumber: attempt.servedQuestions.length,
+    deadline: attempt.deadline,
+    timeRemaining: getTimeRemaining(attempt, quiz)
+  };
+}
+
+// Helper function to build the response for an accepted answer
+function answerResponse(attempt, quiz, question, submitted) {
+  const reveal = revealsAfterAnswer(quiz);
+  const nextQuestion = quiz.questions.find(q => q.questionId === getCurrentQuestionId(attempt));
+
+  // Until answers may be revealed the student only learns the answer was
+  // recorded; right/wrong would give away true/false and multiple-choice keys
+  return {
+    message: 'Answer submitted successfully',
+    completed: false,
+    answerRecorded: true,
+    isCorrect: reveal ? submitted.isCorrect : undefined,
+    credit: reveal ? submitted.credit : undefined,
+    feedback: reveal ? submitted.feedback || undefined : undefined,
+    pendingReview: !!submitted.needsReview,
+    correctAnswer: reveal ? question.correctAnswer : undefined,
+    // Full answer key, needed for types without a single correctAnswer
+    solution: reveal ? toRevealedQuestion(question, { order: questionOrder(attempt, question.questionId) }) : undefined,
+    explanation: reveal ? question.explanation : undefined,
+    // Points a student who got it wrong to the material to review
+    source: reveal && !submitted.isCorrect ? toSourceReference(question, { withQuote: true }) || undefined : undefined,
+    nextQuestion: toStudentQuestion(nextQuestion, { order: questionOrder(attempt, nextQuestion?.questionId) }),
+    questionNumber: attempt.servedQuestions.length,
+    deadline: attempt.deadline,
+    timeRemaining: getTimeRemaining(attempt, quiz)
+  };
+}
+
+// Helper function to build the response for a completed attempt
+function completionResponse(attempt, quiz) {
+  return {
+    message: 'Quiz completed!',
+    completed: true,
+    score: attempt.score,
+    correctAnswers: attempt.correctAnswers,
+    totalQuestions: attempt.totalQuestions,
+    timeSpent: attempt.timeSpent,
+    isLate: attempt.isLate,
+    latePenalty: attempt.latePenalty,
+    scoreBreakdown: toStudentBreakdown(quiz, attempt.student, attempt),
+    abilityEstimate: attempt.abilityEstimate?.theta !== null ? attempt.abilityEstimate : undefined,
+    stopReason: attempt.stopReason || undefined,
+    nextQuestion: null
+  };
+}
+
+// Helper function to pick the next question for either quiz mode. For
+// adaptive quizzes the engine may decide to stop; the reason is recorded on
+// the attempt.
+function pickNextQuestion(quiz, attempt, progress) {
+  if (!quiz.settings.adaptiveMode) {
+    return attempt.form.length > 0
+      ? nextFormQuestion(quiz, attempt)
+      : getNextQuestion(quiz, attempt, progress);
+  }
+
+  const selection = selectNextQuestion(quiz, attempt, progress);
+  attempt.stopReason = selection.stopReason;
+  return selection.question;
+}
+
+// Helper function to get next question for attempts started before forms
+// existed (weak topics first, then random)
 function getNextQuestion(quiz, attempt, progress) {
   // Simple adaptive logic - prioritize weak topics
   if (progress && progress.weakTopics.length > 0) {
     const weakTopicQuestions = quiz.questions.filter(q => 
       progress.weakTopics.includes(q.topic) && 
-      !attempt.answers.find(a => a.questionId === q.questionId)
+      !wasServed(attempt, q.questionId)
     );
     
     if (weakTopicQuestions.length > 0) {
@@ -482,9 +691,9 @@ function getNextQuestion(quiz, attempt, progress) {
     }
   }
 
-  // Fallback to random unanswered question
+  // Fallback to random unserved question
   const unansweredQuestions = quiz.questions.filter(q => 
-    !attempt.answers.find(a => a.questionId === q.questionId)
+    !wasServed(attempt, q.questionId)
   );
 
   if (unansweredQuestions.length > 0) {
@@ -494,80 +703,219 @@ function getNextQuestion(quiz, attempt, progress) {
   return null;
 }
 
-// Helper function to update game state
-async function updateGameState(userId, attempt, quiz) {
+// Build a practice quiz from the student's weak topics. Practice answers
+// update topic mastery but never count toward the quiz grade.
+router.post('/:quizId/practice', authenticateToken, async (req, res) => {
   try {
-    let gameState = await GameState.findOne({ student: userId });
-    
-    if (!gameState) {
-      gameState = new GameState({ student: userId });
+    if (req.user.role !== 'student') {
+      return res.status(403).json({ message: 'Only students can practice' });
     }
 
-    // Calculate XP based on performance
-    const baseXP = 50;
-    const accuracyBonus = Math.floor(attempt.score / 10) * 10;
-    const speedBonus = attempt.timeSpent < quiz.timeLimit * 30 ? 20 : 0; // Bonus for finishing early
-    const totalXP = baseXP + accuracyBonus + speedBonus;
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
 
-    // Add XP and check for level up
-    const levelResult = gameState.addXP(totalXP, 'quiz_completion');
+    // Check if student is enrolled in the class
+    const isEnrolled = req.user.enrolledClasses.some(ec =>
+      ec.class.toString() === quiz.class.toString() && ec.isActive
+    );
 
-    // Update stats
-    gameState.stats.totalQuizzesCompleted += 1;
-    gameState.stats.totalQuestionsAnswered += attempt.totalQuestions;
-    gameState.stats.totalCorrectAnswers += attempt.correctAnswers;
-    gameState.stats.averageAccuracy = 
-      (gameState.stats.totalCorrectAnswers / gameState.stats.totalQuestionsAnswered) * 100;
-    gameState.stats.totalTimeSpent += Math.floor(attempt.timeSpent / 60); // Convert to minutes
+    if (!isEnrolled) {
+      return res.status(403).json({ message: 'You are not enrolled in this class' });
+    }
 
-    if (!gameState.stats.fastestQuiz || attempt.timeSpent < gameState.stats.fastestQuiz) {
-      gameState.stats.fastestQuiz = attempt.timeSpent;
+    const progress = await Progress.findOne({
+      student: req.user._id,
+      quiz: quiz._id
+    });
+
+    if (!progress || progress.weakTopics.length === 0) {
+      return res.status(400).json({ message: 'No weak topics to practice yet. Complete the quiz first.' });
     }
 
-    // Update streak
-    const now = new Date();
-    const lastActivity = new Date(gameState.streaks.lastActivity);
-    const daysDiff = Math.floor((now - lastActivity) / (1000 * 60 * 60 * 24));
+    const numQuestions = Math.min(Math.max(parseInt(req.body.numQuestions) || 5, 1), 20);
+    const topics = progress.weakTopics;
 
-    if (daysDiff === 1) {
-      gameState.streaks.current += 1;
-    } else if (daysDiff > 1) {
-      gameState.streaks.current = 1;
+    // Same lecture content and AI provider the quiz was generated with
+    const { lecture, text: lectureText } = await getLectureSource(quiz);
+    const classDoc = await Class.findById(quiz.class);
+
+    let generated;
+    try {
+      generated = await aiService.generateRemediationQuestions(
+        topics,
+        lectureContext(lectureText, lecture?.sections, lecture?.topics, topics),
+        numQuestions,
+        { provider: classDoc?.settings.aiProvider }
+      );
+    } catch (error) {
+      console.error('❌ Practice question generation error:', error);
+      return res.status(502).json({
+        message: 'AI could not generate practice questions. Please try again.',
+        error: error.message
+      });
     }
 
-    if (gameState.streaks.current > gameState.streaks.longest) {
-      gameState.streaks.longest = gameState.streaks.current;
+    // aiService only returns questions that passed validation
+    const questions = generated
+      .slice(0, numQuestions)
+      .map((question, index) => ({ ...question, questionId: `q${index + 1}` }));
+
+    if (questions.length === 0) {
+      return res.status(502).json({ message: 'AI generated no usable practice questions. Please try again.' });
     }
 
-    gameState.streaks.lastActivity = now;
+    attachCitations(questions, lecture);
+
+    const session = new PracticeSession({
+      student: req.user._id,
+      quiz: quiz._id,
+      topics,
+      questions
+    });
+    await session.save();
+
+    res.status(201).json({
+      message: 'Practice quiz created',
+      session: {
+        id: session._id,
+        topics,
+        totalQuestions: session.questions.length
+      },
+      questions: session.questions.map(toStudentQuestion)
+    });
+  } catch (error) {
+    console.error('Create practice quiz error:', error);
+    res.status(500).json({ message: 'Error creating practice quiz' });
+  }
+});
+
+// Get a practice session; answered questions include their answer key
+router.get('/practice/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await PracticeSession.findById(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Practice session not found' });
+    }
 
-    // Check for new badges
-    const newBadges = gameState.checkBadges();
+    if (session.student.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-    await gameState.save();
+    const answeredIds = new Set(session.answers.map(answer => answer.questionId));
 
-    return {
-      levelResult,
-      newBadges,
-      xpGained: totalXP
-    };
+    res.json({
+      session: {
+        id: session._id,
+        quiz: session.quiz,
+        topics: session.topics,
+        isCompleted: session.isCompleted,
+        completedAt: session.completedAt,
+        answers: session.answers
+      },
+      questions: session.questions.map(question =>
+        answeredIds.has(question.questionId) ? toRevealedQuestion(question) : toStudentQuestion(question)
+      )
+    });
   } catch (error) {
-    console.error('Update game state error:', error);
-    return null;
+    console.error('Get practice session error:', error);
+    res.status(500).json({ message: 'Error fetching practice session' });
   }
-}
+});
+
+// Answer a practice question
+router.post('/practice/:sessionId/answer', authenticateToken, async (req, res) => {
+  try {
+    const session = await PracticeSession.findById(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Practice session not found' });
+    }
+
+    if (session.student.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (session.isCompleted) {
+      return res.status(409).json({ message: 'This practice session is already completed' });
+    }
+
+    const { questionId, answer } = req.body;
+
+    const question = session.questions.find(q => q.questionId === questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
 
-// Test Gemini API endpoint (for development/testing purposes)
+    if (session.answers.some(a => a.questionId === questionId)) {
+      return res.status(409).json({ message: 'This question has already been answered' });
+    }
+
+    const formatError = checkAnswerFormat(question, answer);
+    if (formatError) {
+      return res.status(400).json({ message: formatError });
+    }
+
+    // Grading settings (AI grading, review threshold) come from the source quiz
+    const quiz = await Quiz.findById(session.quiz);
+    const grade = await gradeAnswer(question, answer, quiz);
+
+    session.answers.push({
+      questionId,
+      answer,
+      isCorrect: grade.isCorrect,
+      credit: grade.credit,
+      feedback: grade.feedback
+    });
+
+    const progress = await Progress.findOne({
+      student: req.user._id,
+      quiz: session.quiz
+    });
+
+    if (progress) {
+      recordTopicResult(progress, question.topic, grade.isCorrect);
+    }
+
+    const completed = session.answers.length >= session.questions.length;
+    if (completed) {
+      session.isCompleted = true;
+      session.completedAt = new Date();
+      if (progress) updateTopicLists(progress);
+    }
+
+    await session.save();
+    if (progress) await progress.save();
+
+    res.json({
+      isCorrect: grade.isCorrect,
+      credit: grade.credit,
+      feedback: grade.feedback || undefined,
+      // Practice always shows the answer right away
+      solution: toRevealedQuestion(question),
+      completed,
+      weakTopics: progress?.weakTopics,
+      topicMastery: progress?.topicMastery.find(tm => tm.topic === question.topic) || null
+    });
+  } catch (error) {
+    console.error('Submit practice answer error:', error);
+    res.status(500).json({ message: 'Error submitting practice answer' });
+  }
+});
+
+// Test AI provider endpoint (for development/testing purposes)
+// Uses the deployment default provider unless ?provider= is given
 router.get('/test-gemini', async (req, res) => {
+  const providerName = req.query.provider;
+
   try {
-    console.log('🧪 Testing Gemini API...');
+    const provider = aiService.getProvider(providerName);
+    console.log(`🧪 Testing ${provider.name} provider...`);
     
     // Test simple prompt
-    const testPrompt = "Hello! Please respond with 'Gemini API is working correctly!' if you can read this.";
+    const testPrompt = `Hello! Please respond with '${provider.name} provider is working correctly!' if you can read this.`;
     
-    const result = await aiService.gemini.generateContent(testPrompt);
-    const response = await result.response;
-    const text = response.text();
+    const text = await aiService.callModel(testPrompt, { provider: providerName });
 
     // Test quiz generation capability
     const quizPrompt = `
@@ -590,13 +938,17 @@ router.get('/test-gemini', async (req, res) => {
       ]
     `;
 
-    const quizResult = await aiService.gemini.generateContent(quizPrompt);
-    const quizResponse = await quizResult.response;
-    const quizText = quizResponse.text();
+    const quizText = await aiService.callModel(quizPrompt, {
+      provider: providerName,
+      task: 'questions',
+      numQuestions: 2,
+      topics: [{ name: 'JavaScript Basics' }]
+    });
 
     res.json({
       status: 'success',
-      message: 'Gemini API is working correctly!',
+      provider: provider.name,
+      message: `${provider.name} provider is working correctly!`,
       tests: {
         basicConnection: {
           status: 'passed',
@@ -611,14 +963,15 @@ router.get('/test-gemini', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('❌ Gemini API test failed:', error);
+    console.error('❌ AI provider test failed:', error);
     
     res.status(500).json({
       status: 'error',
-      message: 'Gemini API test failed',
+      message: 'AI provider test failed',
       error: error.message,
       suggestions: [
-        'Check if GEMINI_API_KEY is set in your .env file',
+        'Check that AI_PROVIDER is one of: gemini, openai, ollama, stub',
+        'Check if GEMINI_API_KEY (or OPENAI_API_KEY / OLLAMA_BASE_URL) is set in your .env file',
         'Verify the API key is correct and has proper permissions',
         'Ensure you have enabled the Gemini API in Google Cloud Console',
         'Check your API quota and billing settings'
@@ -650,76 +1003,66 @@ router.get('/adaptive/next/:attemptId', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'This quiz is not in adaptive mode' });
     }
 
-    // Calculate current performance
-    const answeredQuestions = attempt.answers.length;
-    if (answeredQuestions === 0) {
-      // First question - start with easy
-      const easyQuestion = attempt.quiz.questions.find(q => q.difficulty === 'easy');
-      return res.json({
-        question: easyQuestion,
-        questionNumber: answeredQuestions + 1,
-        performance: null
+    if (!attempt.isCompleted && isExpired(attempt, attempt.quiz)) {
+      await finalizeAttempt(attempt, attempt.quiz, 'time-expired');
+      return res.status(409).json({
+        message: 'Time is up! Your quiz was submitted automatically.',
+        quizComplete: true,
+        timeExpired: true
       });
     }
 
-    const correctAnswers = attempt.answers.filter(a => a.isCorrect).length;
-    const currentAccuracy = correctAnswers / answeredQuestions;
-
-    // Determine next difficulty based on performance
-    let nextDifficulty;
-    if (currentAccuracy >= 0.8) {
-      nextDifficulty = 'hard';
-    } else if (currentAccuracy >= 0.6) {
-      nextDifficulty = 'medium';
-    } else {
-      nextDifficulty = 'easy';
+    if (attempt.isCompleted) {
+      return res.json({ message: 'No more questions available', quizComplete: true });
     }
 
-    // Find next question of appropriate difficulty
-    const availableQuestions = attempt.quiz.questions.filter(q => 
-      q.difficulty === nextDifficulty && 
-      !attempt.answers.some(a => a.questionId === q.questionId)
-    );
+    // The question already served and not yet answered is returned again,
+    // so repeated calls can't be used to skip questions
+    const currentQuestionId = getCurrentQuestionId(attempt);
+    const progress = await Progress.findOne({
+      student: req.user._id,
+      quiz: attempt.quiz._id
+    });
 
-    if (availableQuestions.length === 0) {
-      // No more questions of this difficulty, try others
-      const allRemainingQuestions = attempt.quiz.questions.filter(q => 
-        !attempt.answers.some(a => a.questionId === q.questionId)
-      );
-      
-      if (allRemainingQuestions.length === 0) {
-        return res.json({
-          message: 'No more questions available',
-          quizComplete: true,
-          performance: {
-            accuracy: currentAccuracy,
-            difficulty: nextDifficulty
-          }
-        });
-      }
+    if (currentQuestionId) {
+      return res.json({
+        question: toStudentQuestion(
+          attempt.quiz.questions.find(q => q.questionId === currentQuestionId),
+          { order: questionOrder(attempt, currentQuestionId) }
+        ),
+        questionNumber: attempt.servedQuestions.length,
+        ability: describeEstimate(attempt.quiz, estimateAbilities(attempt.quiz, attempt, progress))
+      });
+    }
+
+    const { question, stopReason, estimate } = selectNextQuestion(attempt.quiz, attempt, progress);
 
-      const nextQuestion = allRemainingQuestions[0];
+    if (!question) {
+      // The engine is confident enough (or out of questions): end the attempt
+      attempt.stopReason = stopReason;
+      await finalizeAttempt(attempt, attempt.quiz, 'submitted');
       return res.json({
-        question: nextQuestion,
-        questionNumber: answeredQuestions + 1,
-        performance: {
-          accuracy: currentAccuracy,
-          difficulty: nextDifficulty
-        }
+        message: 'No more questions available',
+        quizComplete: true,
+        stopReason,
+        score: attempt.score,
+        ability: describeEstimate(attempt.quiz, estimate)
       });
     }
 
-    const nextQuestion = availableQuestions[0];
+    serveQuestion(attempt, question);
+    await attempt.save();
+
     res.json({
-      question: nextQuestion,
-      questionNumber: answeredQuestions + 1,
-      performance: {
-        accuracy: currentAccuracy,
-        difficulty: nextDifficulty
-      }
+      question: toStudentQuestion(question, { order: questionOrder(attempt, question.questionId) }),
+      questionNumber: attempt.servedQuestions.length,
+      ability: describeEstimate(attempt.quiz, estimate)
     });
 
   } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Attempt was updated at the same time. Please retry.' });
+    }
     console.error('Get next adaptive question error:', error);
     res.status(500).json({ message: 'Error getting next question' });
   }
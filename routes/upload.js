@@ -3,22 +3,60 @@ const multer = require('multer');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Quiz = require('../models/Quiz');
+const { QUIZ_STATUSES } = require('../models/Quiz');
 const Class = require('../models/Class');
+const { Attempt } = require('../models/Progress');
+const GenerationJob = require('../models/GenerationJob');
+const Lecture = require('../models/Lecture');
+const generationQueue = require('../services/generationQueue');
 const aiService = require('../services/aiService');
+const { toStudentQuestion } = require('../services/questionSerializer');
+const {
+  DIFFICULTY_POINTS,
+  validateQuestion,
+  applyQuestionChanges,
+  contentChanged,
+  resetItemStats,
+  nextQuestionId,
+  recalculateTopics
+} = require('../services/questionService');
+const { overrideAnswerGrade } = require('../services/attemptService');
+const {
+  createLecture,
+  readLectureFile,
+  deleteLecture,
+  getLectureSource
+} = require('../services/lectureService');
+const { attachCitations } = require('../services/citationService');
+const { lintQuestion } = require('../services/questionLinter');
+const { lectureContext } = require('../services/lecturePlanner');
+const { SUPPORTED_EXTENSIONS, fileExtension } = require('../services/extractors');
 const router = express.Router();
 
+const MAX_BATCH_FILES = 10;
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: MAX_BATCH_FILES
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain'];
-    if (allowedTypes.includes(file.mimetype)) {
+    // Browsers report inconsistent MIME types for Markdown, EPUB and slides,
+    // so the extension decides
+    if (SUPPORTED_EXTENSIONS.includes(fileExtension(file.originalname))) {
       cb(null, true);
+    } else if (file.fieldname === 'files') {
+      // One unsupported file in a batch is reported, not fatal
+      req.rejectedFiles = [...(req.rejectedFiles || []), {
+        fileName: file.originalname,
+        status: 'rejected',
+        error: `Unsupported file type. Supported formats: ${SUPPORTED_EXTENSIONS.join(', ')}`
+      }];
+      cb(null, false);
     } else {
-      cb(new Error('Invalid file type. Only PDF, DOCX, and TXT files are allowed.'), false);
+      cb(new Error(`Invalid file type. Supported formats: ${SUPPORTED_EXTENSIONS.join(', ')}`), false);
     }
   }
 });
@@ -47,29 +85,59 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Upload lecture and generate quiz
-router.post('/lecture', authenticateToken, upload.single('file'), async (req, res) => {
+// Quiz generation options from a multipart or JSON request body
+const parseGenerationOptions = (body) => {
+  const {
+    title,
+    description,
+    timeLimit,
+    numQuestions,
+    isAdaptive,
+    adaptiveQuestionCount,
+    adaptiveDifficultyLevels,
+    adaptiveRetakeThreshold
+  } = body;
+
+  const adaptive = isAdaptive === 'true' || isAdaptive === true;
+
+  return {
+    title,
+    description: description || '',
+    timeLimit: parseInt(timeLimit) || 30,
+    numQuestions: parseInt(numQuestions) || 10,
+    isAdaptive: adaptive,
+    adaptiveQuestionCount: parseInt(adaptiveQuestionCount) || 15,
+    adaptiveDifficultyLevels: adaptiveDifficultyLevels ?
+      String(adaptiveDifficultyLevels).split(',').map(level => {
+        const trimmed = level.trim();
+        return ['easy', 'medium', 'hard', 'expert', 'master'].includes(trimmed) ? trimmed : 'easy';
+      }) : ['easy', 'medium', 'hard'],
+    adaptiveRetakeThreshold: Math.min(Math.max(parseFloat(adaptiveRetakeThreshold) || 0.6, 0), 1)
+  };
+};
+
+// Upload lectures and queue quiz generation. Send one file as `file` or up
+// to MAX_BATCH_FILES as `files`; with several files `mode` is either
+// `per-file` (one quiz each, the default) or `combined` (one quiz across all).
+router.post('/lecture', authenticateToken, upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: MAX_BATCH_FILES }
+]), async (req, res) => {
   try {
     // Check if user is instructor
     if (req.user.role !== 'instructor') {
       return res.status(403).json({ message: 'Only instructors can upload lectures' });
     }
 
-    if (!req.file) {
+    const uploaded = [...(req.files?.file || []), ...(req.files?.files || [])];
+    const rejected = req.rejectedFiles || [];
+
+    if (uploaded.length === 0 && rejected.length === 0) {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    const { 
-      title, 
-      description, 
-      timeLimit, 
-      numQuestions, 
-      classId,
-      isAdaptive,
-      adaptiveQuestionCount,
-      adaptiveDifficultyLevels,
-      adaptiveRetakeThreshold
-    } = req.body;
+    const { title, classId } = req.body;
+    const mode = req.body.mode === 'combined' ? 'combined' : 'per-file';
 
     // Validate classId
     if (!classId) {
@@ -87,181 +155,300 @@ router.post('/lecture', authenticateToken, upload.single('file'), async (req, re
       return res.status(404).json({ message: 'Class not found or access denied' });
     }
 
-    // Extract text from uploaded file with timeout
-    let extractedText;
-    try {
-      extractedText = await Promise.race([
-        aiService.extractTextFromFile(req.file),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Text extraction timeout')), 30000))
-      ]);
-    } catch (error) {
-      console.error('Text extraction error:', error);
-      return res.status(400).json({ 
-        message: 'Failed to extract text from file. Please ensure the file is a valid PDF or text document.',
-        error: error.message
-      });
+    const options = parseGenerationOptions(req.body);
+    const batch = uploaded.length + rejected.length > 1;
+
+    // The original files are kept so lectures can be reused for more quizzes
+    const files = [];
+    for (const file of uploaded) {
+      try {
+        const lecture = await createLecture({
+          instructor: req.user._id,
+          classId,
+          file,
+          title: batch ? null : title
+        });
+        files.push({ fileName: file.originalname, status: 'queued', lecture });
+      } catch (error) {
+        console.error(`Store lecture ${file.originalname} error:`, error);
+        files.push({ fileName: file.originalname, status: 'failed', error: 'Could not store file' });
+      }
     }
-    
-    if (!extractedText || extractedText.trim().length === 0) {
-      return res.status(400).json({ message: 'Could not extract text from file. The file may be empty or corrupted.' });
+
+    const stored = files.filter(file => file.lecture);
+    if (stored.length === 0) {
+      return res.status(400).json({
+        message: 'None of the uploaded files could be processed',
+        files: [...files, ...rejected]
+      });
     }
 
-    // Extract topics from the content with timeout
-    let topics;
-    try {
-      console.log('📚 Starting topic extraction...');
-      topics = await Promise.race([
-        aiService.extractTopics(extractedText),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Topic extraction timeout')), 30000)) // Increased to 30 seconds
-      ]);
-      console.log('✅ Topic extraction completed successfully');
-    } catch (error) {
-      console.error('❌ Topic extraction error:', error);
-      
-      // Always use fallback topics instead of failing - this ensures the upload continues
-      console.log('🔄 Using fallback topics due to error:', error.message);
-      topics = [
-        { name: "General Concepts", weight: 8, description: "Main concepts from the lecture content" },
-        { name: "Key Topics", weight: 6, description: "Important topics covered in the material" },
-        { name: "Core Principles", weight: 7, description: "Fundamental principles discussed in the lecture" }
-      ];
-      console.log('✅ Fallback topics created:', topics.map(t => t.name).join(', '));
-    }
-
-    // Generate questions using AI (adaptive or standard) with timeout
-    let questions;
-    try {
-      if (isAdaptive === 'true' || isAdaptive === true) {
-        // Generate adaptive questions with different difficulty levels
-        questions = await Promise.race([
-          aiService.generateAdaptiveQuestions(
-            extractedText,
-            topics,
-            parseInt(adaptiveQuestionCount) || 15,
-            adaptiveDifficultyLevels ? adaptiveDifficultyLevels.split(',') : ['easy', 'medium', 'hard'],
-            parseFloat(adaptiveRetakeThreshold) || 0.6
-          ),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Question generation timeout')), 45000))
-        ]);
-      } else {
-        // Generate standard questions
-        questions = await Promise.race([
-          aiService.generateQuestions(
-            extractedText, 
-            topics, 
-            parseInt(numQuestions) || 10
-          ),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Question generation timeout')), 45000))
-        ]);
-      }
-    } catch (error) {
-      console.error('❌ Question generation error:', error);
-      
-      // Use fallback questions instead of failing - this ensures the upload continues
-      console.log('🔄 Using fallback questions due to error:', error.message);
-      const numQuestionsToGenerate = parseInt(numQuestions) || 10;
-      questions = [];
-      for (let i = 1; i <= numQuestionsToGenerate; i++) {
-        questions.push({
-          questionId: `q${i}`,
-          text: `This is a sample question ${i} based on the lecture content. What is the main concept discussed?`,
-          type: "multiple-choice",
-          options: [
-            {"text": "Option A", "isCorrect": false},
-            {"text": "Option B", "isCorrect": true},
-            {"text": "Option C", "isCorrect": false},
-            {"text": "Option D", "isCorrect": false}
-          ],
-          correctAnswer: "Option B",
-          topic: topics[0]?.name || "General Concepts",
-          difficulty: "medium",
-          explanation: "This is a sample explanation for the correct answer based on the lecture content.",
-          points: 10
+    // Generation runs in the background; the client polls the job or listens
+    // for the generation-job-completed socket event
+    const jobs = [];
+    if (mode === 'combined') {
+      const job = await generationQueue.enqueue({
+        instructor: req.user._id,
+        lectures: stored.map(file => file.lecture),
+        options
+      });
+      stored.forEach(file => { file.job = job; });
+      jobs.push(job);
+    } else {
+      for (const file of stored) {
+        file.job = await generationQueue.enqueue({
+          instructor: req.user._id,
+          lecture: file.lecture,
+          options: {
+            ...options,
+            // Batch quizzes are told apart by their file
+            title: batch && title ? `${title}: ${file.lecture.title}` : options.title
+          }
         });
+        jobs.push(file.job);
       }
-      console.log('✅ Fallback questions created:', questions.length, 'questions');
-    }
-
-    // Validate and sanitize questions before saving
-    const validatedQuestions = questions.map((question, index) => {
-      // Ensure difficulty is a valid enum value
-      if (!['easy', 'medium', 'hard', 'expert', 'master'].includes(question.difficulty)) {
-        console.log(`⚠️ Server-side validation: Fixing invalid difficulty "${question.difficulty}" for question ${index + 1}`);
-        // Map numeric difficulties to string equivalents
-        if (typeof question.difficulty === 'number') {
-          if (question.difficulty === 1 || question.difficulty === '1') question.difficulty = 'easy';
-          else if (question.difficulty === 2 || question.difficulty === '2') question.difficulty = 'medium';
-          else if (question.difficulty === 3 || question.difficulty === '3') question.difficulty = 'hard';
-          else if (question.difficulty === 4 || question.difficulty === '4') question.difficulty = 'expert';
-          else if (question.difficulty === 5 || question.difficulty === '5') question.difficulty = 'master';
-          else question.difficulty = 'medium'; // Default fallback
-        } else {
-          question.difficulty = 'medium'; // Default fallback
-        }
-      }
-      
-      // Ensure type is valid
-      if (!['multiple-choice', 'true-false', 'short-answer'].includes(question.type)) {
-        console.log(`⚠️ Server-side validation: Fixing invalid type "${question.type}" for question ${index + 1}`);
-        question.type = 'multiple-choice';
-      }
-      
-      return question;
-    });
+    }
 
-    // Create quiz in database
-    const quiz = new Quiz({
-      title: title || req.file.originalname,
-      description: description || '',
-      instructor: req.user._id,
-      class: classId,
-      lectureId: `lecture_${Date.now()}`,
-      lectureTitle: title || req.file.originalname,
-      questions: validatedQuestions,
-      topics: topics,
-      totalQuestions: validatedQuestions.length,
-      timeLimit: parseInt(timeLimit) || 30,
-      isActive: true,
-      settings: {
-        allowRetake: true,
-        showCorrectAnswers: true,
-        adaptiveMode: isAdaptive === 'true' || isAdaptive === true,
-        adaptiveSettings: isAdaptive === 'true' || isAdaptive === true ? {
-          questionCount: parseInt(adaptiveQuestionCount) || 15,
-          difficultyLevels: adaptiveDifficultyLevels ? 
-            adaptiveDifficultyLevels.split(',').map(level => {
-              const trimmed = level.trim();
-              return ['easy', 'medium', 'hard', 'expert', 'master'].includes(trimmed) ? trimmed : 'easy';
-            }) : ['easy', 'medium', 'hard'],
-          retakeThreshold: Math.min(Math.max(parseFloat(adaptiveRetakeThreshold) || 0.6, 0), 1)
-        } : null
-      }
+    res.status(202).json({
+      message: jobs.length === 1 ? 'Quiz generation started' : `Generation started for ${jobs.length} quizzes`,
+      mode,
+      // Single-file uploads keep the original response shape
+      lecture: batch ? undefined : stored[0].lecture.toSummary(),
+      job: jobs.length === 1 ? jobs[0].toStatus() : undefined,
+      jobs: jobs.map(job => job.toStatus()),
+      files: [
+        ...files.map(file => ({
+          fileName: file.fileName,
+          status: file.status,
+          error: file.error,
+          lecture: file.lecture?.toSummary(),
+          jobId: file.job?._id
+        })),
+        ...rejected
+      ]
     });
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ 
+      message: 'Error processing lecture upload',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
-    await quiz.save();
+// Get instructor's lectures (optionally for one class)
+router.get('/lectures', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'instructor') {
+      return res.status(403).json({ message: 'Only instructors can view lectures' });
+    }
 
-    // Add quiz to class
-    classExists.quizzes.push(quiz._id);
-    await classExists.save();
+    const filter = { instructor: req.user._id };
+    if (req.query.classId) {
+      filter.class = req.query.classId;
+    }
+
+    const lectures = await Lecture.find(filter)
+      .select('-extractedText')
+      .sort({ createdAt: -1 });
+
+    res.json({ lectures: lectures.map(lecture => lecture.toSummary()) });
+  } catch (error) {
+    console.error('Get lectures error:', error);
+    res.status(500).json({ message: 'Error fetching lectures' });
+  }
+});
+
+// Get a lecture with its sections and the quizzes generated from it
+router.get('/lectures/:lectureId', authenticateToken, async (req, res) => {
+  try {
+    const lecture = await Lecture.findById(req.params.lectureId);
+
+    if (!lecture) {
+      return res.status(404).json({ message: 'Lecture not found' });
+    }
+
+    if (lecture.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const quizzes = await Quiz.find({ $or: [{ lecture: lecture._id }, { lectures: lecture._id }] })
+      .select('title status totalQuestions createdAt')
+      .sort({ createdAt: -1 });
 
     res.json({
-      message: 'Quiz generated successfully',
-      quiz: {
-        id: quiz._id,
-        title: quiz.title,
-        description: quiz.description,
-        totalQuestions: quiz.totalQuestions,
-        timeLimit: quiz.timeLimit,
-        topics: quiz.topics,
-        createdAt: quiz.createdAt
-      }
+      lecture: {
+        ...lecture.toSummary(),
+        sections: lecture.sections,
+        extractedText: req.query.includeText === 'true' ? lecture.extractedText : undefined
+      },
+      quizzes
     });
   } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ 
-      message: 'Error processing lecture upload',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    console.error('Get lecture error:', error);
+    res.status(500).json({ message: 'Error fetching lecture' });
+  }
+});
+
+// Download the original lecture file
+router.get('/lectures/:lectureId/file', authenticateToken, async (req, res) => {
+  try {
+    const lecture = await Lecture.findById(req.params.lectureId).select('-extractedText');
+
+    if (!lecture) {
+      return res.status(404).json({ message: 'Lecture not found' });
+    }
+
+    if (lecture.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const buffer = await readLectureFile(lecture);
+
+    res.set('Content-Type', lecture.file.mimeType || 'application/octet-stream');
+    res.attachment(lecture.file.originalName);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Download lecture error:', error);
+    res.status(500).json({ message: 'Error downloading lecture file' });
+  }
+});
+
+// Generate another quiz from an existing lecture
+router.post('/lectures/:lectureId/generate', authenticateToken, async (req, res) => {
+  try {
+    const lecture = await Lecture.findById(req.params.lectureId).select('-extractedText');
+
+    if (!lecture) {
+      return res.status(404).json({ message: 'Lecture not found' });
+    }
+
+    if (lecture.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const classExists = await Class.exists({ _id: lecture.class, isActive: true });
+    if (!classExists) {
+      return res.status(400).json({ message: 'The lecture\'s class is no longer active' });
+    }
+
+    const job = await generationQueue.enqueue({
+      instructor: req.user._id,
+      lecture,
+      options: parseGenerationOptions({ title: lecture.title, ...req.body })
+    });
+
+    res.status(202).json({
+      message: 'Quiz generation started',
+      lecture: lecture.toSummary(),
+      job: job.toStatus()
     });
+  } catch (error) {
+    console.error('Generate from lecture error:', error);
+    res.status(500).json({ message: 'Error starting quiz generation' });
+  }
+});
+
+// Delete a lecture and its stored file (only once no quiz uses it)
+router.delete('/lectures/:lectureId', authenticateToken, async (req, res) => {
+  try {
+    const lecture = await Lecture.findById(req.params.lectureId).select('-extractedText');
+
+    if (!lecture) {
+      return res.status(404).json({ message: 'Lecture not found' });
+    }
+
+    if (lecture.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const [quizCount, pendingJobs] = await Promise.all([
+      Quiz.countDocuments({ $or: [{ lecture: lecture._id }, { lectures: lecture._id }] }),
+      GenerationJob.countDocuments({
+        $or: [{ lecture: lecture._id }, { 'files.lecture': lecture._id }],
+        status: { $in: ['queued', 'extracting', 'generating'] }
+      })
+    ]);
+
+    if (quizCount > 0 || pendingJobs > 0) {
+      return res.status(400).json({
+        message: 'This lecture is still used by quizzes or pending generation jobs',
+        quizCount,
+        pendingJobs
+      });
+    }
+
+    await deleteLecture(lecture);
+
+    res.json({ message: 'Lecture deleted successfully' });
+  } catch (error) {
+    console.error('Delete lecture error:', error);
+    res.status(500).json({ message: 'Error deleting lecture' });
+  }
+});
+
+// Get instructor's recent generation jobs
+router.get('/jobs', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'instructor') {
+      return res.status(403).json({ message: 'Only instructors can view generation jobs' });
+    }
+
+    const jobs = await GenerationJob.find({ instructor: req.user._id })
+      .select('-file.data -extractedText')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ jobs: jobs.map(job => job.toStatus()) });
+  } catch (error) {
+    console.error('Get generation jobs error:', error);
+    res.status(500).json({ message: 'Error fetching generation jobs' });
+  }
+});
+
+// Get generation job status
+router.get('/jobs/:jobId', authenticateToken, async (req, res) => {
+  try {
+    const job = await GenerationJob.findById(req.params.jobId).select('-file.data -extractedText');
+
+    if (!job) {
+      return res.status(404).json({ message: 'Generation job not found' });
+    }
+
+    if (job.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({ job: job.toStatus() });
+  } catch (error) {
+    console.error('Get generation job error:', error);
+    res.status(500).json({ message: 'Error fetching generation job' });
+  }
+});
+
+// Retry a failed generation job
+router.post('/jobs/:jobId/retry', authenticateToken, async (req, res) => {
+  try {
+    const job = await GenerationJob.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Generation job not found' });
+    }
+
+    if (job.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (job.status !== 'failed') {
+      return res.status(400).json({ message: 'Only failed jobs can be retried' });
+    }
+
+    await generationQueue.retry(job);
+
+    res.json({ message: 'Generation job requeued', job: job.toStatus() });
+  } catch (error) {
+    console.error('Retry generation job error:', error);
+    res.status(500).json({ message: 'Error retrying generation job' });
   }
 });
 
@@ -273,7 +460,7 @@ router.get('/quizzes', authenticateToken, async (req, res) => {
     }
 
     const quizzes = await Quiz.find({ instructor: req.user._id })
-      .select('title description totalQuestions timeLimit createdAt stats')
+      .select('title description totalQuestions timeLimit createdAt stats status publishAt')
       .sort({ createdAt: -1 });
 
     res.json({ quizzes });
@@ -283,6 +470,31 @@ router.get('/quizzes', authenticateToken, async (req, res) => {
   }
 });
 
+// Get instructor's quizzes awaiting review (drafts and in-review)
+router.get('/quizzes/review', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'instructor') {
+      return res.status(403).json({ message: 'Only instructors can review quizzes' });
+    }
+
+    const quizzes = await Quiz.find({
+      instructor: req.user._id,
+      status: { $in: ['draft', 'in-review'] }
+    })
+      .select('title description totalQuestions timeLimit topics createdAt status class')
+      .populate('class', 'name code')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      quizzes,
+      totalAwaitingReview: quizzes.length
+    });
+  } catch (error) {
+    console.error('Get review quizzes error:', error);
+    res.status(500).json({ message: 'Error fetching quizzes awaiting review' });
+  }
+});
+
 // Get specific quiz details
 router.get('/quiz/:id', authenticateToken, async (req, res) => {
   try {
@@ -297,6 +509,27 @@ router.get('/quiz/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Students only see published quizzes of classes they are enrolled in
+    if (req.user.role === 'student') {
+      const isEnrolled = req.user.enrolledClasses.some(ec =>
+        ec.class.toString() === quiz.class.toString() && ec.isActive
+      );
+
+      if (!isEnrolled || !quiz.isVisibleToStudents()) {
+        return res.status(404).json({ message: 'Quiz not found' });
+      }
+
+      // Never send answer keys or other students' extensions to students
+      const { extensions, ...quizData } = quiz.toObject();
+      return res.json({
+        quiz: {
+          ...quizData,
+          questions: quiz.questions.map(toStudentQuestion),
+          availability: quiz.getAvailabilityFor(req.user._id)
+        }
+      });
+    }
+
     res.json({ quiz });
   } catch (error) {
     console.error('Get quiz error:', error);
@@ -318,22 +551,551 @@ router.put('/quiz/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const { title, description, timeLimit, settings } = req.body;
+    const { title, description, timeLimit, settings, availability } = req.body;
+
+    if (availability) {
+      const merged = { ...quiz.availability.toObject(), ...availability };
+      const errors = validateAvailability(merged);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid availability', errors });
+      }
+      quiz.availability = merged;
+    }
+
+    if (settings?.randomization) {
+      const errors = validateRandomization(settings.randomization, quiz);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid randomization settings', errors });
+      }
+    }
 
     if (title) quiz.title = title;
     if (description !== undefined) quiz.description = description;
     if (timeLimit) quiz.timeLimit = timeLimit;
-    if (settings) quiz.settings = { ...quiz.settings, ...settings };
+    if (settings) quiz.settings = { ...quiz.settings.toObject(), ...settings };
 
     await quiz.save();
 
     res.json({ message: 'Quiz updated successfully', quiz });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid quiz settings', errors: Object.values(error.errors).map(e => e.message) });
+    }
     console.error('Update quiz error:', error);
     res.status(500).json({ message: 'Error updating quiz' });
   }
 });
 
+// Move a quiz through the review workflow (draft, in-review, scheduled, published, archived)
+router.put('/quiz/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    // Check if user is the instructor
+    if (quiz.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { status, publishAt } = req.body;
+
+    if (!QUIZ_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: 'Invalid status',
+        details: `Status must be one of: ${QUIZ_STATUSES.join(', ')}`
+      });
+    }
+
+    if (!quiz.canTransitionTo(status)) {
+      return res.status(400).json({
+        message: `Cannot change quiz status from ${quiz.status} to ${status}`
+      });
+    }
+
+    if (status === 'scheduled') {
+      const publishDate = new Date(publishAt);
+      if (!publishAt || isNaN(publishDate.getTime()) || publishDate <= new Date()) {
+        return res.status(400).json({ message: 'A future publishAt date is required to schedule a quiz' });
+      }
+      quiz.publishAt = publishDate;
+    } else if (status !== 'archived') {
+      quiz.publishAt = null;
+    }
+
+    // Don't let students see a quiz with broken questions
+    if (status === 'scheduled' || status === 'published') {
+      const invalidQuestions = quiz.questions
+        .map(question => ({ questionId: question.questionId, errors: validateQuestion(question.toObject()) }))
+        .filter(result => result.errors.length > 0);
+
+      if (quiz.questions.length === 0 || invalidQuestions.length > 0) {
+        return res.status(400).json({
+          message: 'Quiz has invalid questions and cannot be published',
+          invalidQuestions
+        });
+      }
+    }
+
+    if (status === 'published') {
+      quiz.publishedAt = new Date();
+    }
+
+    quiz.status = status;
+    await quiz.save();
+
+    res.json({
+      message: `Quiz status changed to ${status}`,
+      quiz: {
+        id: quiz._id,
+        status: quiz.status,
+        publishAt: quiz.publishAt,
+        publishedAt: quiz.publishedAt
+      }
+    });
+  } catch (error) {
+    console.error('Update quiz status error:', error);
+    res.status(500).json({ message: 'Error updating quiz status' });
+  }
+});
+
+// Add a question to a quiz
+router.post('/quiz/:id/questions', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    // Check if user is the instructor
+    if (quiz.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const question = applyQuestionChanges({
+      questionId: nextQuestionId(quiz),
+      options: [],
+      explanation: '',
+      points: DIFFICULTY_POINTS[req.body.difficulty] || 10
+    }, req.body);
+
+    const errors = validateQuestion(question);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid question', errors });
+    }
+
+    // Lint issues only flag questions the instructor writes or edits
+    question.lint = lintQuestion(question, quiz.questions);
+
+    // Insert at the requested position, or append
+    const position = parseInt(req.body.position);
+    if (!isNaN(position) && position >= 0 && position < quiz.questions.length) {
+      quiz.questions.splice(position, 0, question);
+    } else {
+      quiz.questions.push(question);
+    }
+
+    recalculateTopics(quiz);
+    await quiz.save();
+
+    res.status(201).json({
+      message: 'Question added successfully',
+      question: quiz.questions.find(q => q.questionId === question.questionId),
+      totalQuestions: quiz.totalQuestions,
+      topics: quiz.topics
+    });
+  } catch (error) {
+    console.error('Add question error:', error);
+    res.status(500).json({ message: 'Error adding question' });
+  }
+});
+
+// Reorder quiz questions
+router.put('/quiz/:id/questions/order', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    // Check if user is the instructor
+    if (quiz.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { order } = req.body;
+    const currentIds = quiz.questions.map(q => q.questionId);
+
+    // The new order must be a permutation of the existing question IDs
+    if (!Array.isArray(order) ||
+        order.length !== currentIds.length ||
+        new Set(order).size !== order.length ||
+        !order.every(id => currentIds.includes(id))) {
+      return res.status(400).json({
+        message: 'Invalid question order',
+        details: 'order must list every questionId of the quiz exactly once'
+      });
+    }
+
+    quiz.questions = order.map(id => quiz.questions.find(q => q.questionId === id));
+    await quiz.save();
+
+    res.json({
+      message: 'Questions reordered successfully',
+      order: quiz.questions.map(q => q.questionId)
+    });
+  } catch (error) {
+    console.error('Reorder questions error:', error);
+    res.status(500).json({ message: 'Error reordering questions' });
+  }
+});
+
+// Edit a single question
+router.put('/quiz/:id/questions/:questionId', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    // Check if user is the instructor
+    if (quiz.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const question = quiz.questions.find(q => q.questionId === req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const updated = applyQuestionChanges(question.toObject(), req.body);
+
+    const errors = validateQuestion(updated);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid question', errors });
+    }
+
+    updated.lint = lintQuestion(updated, quiz.questions.filter(q => q.questionId !== question.questionId));
+    const replacesContent = contentChanged(question.toObject(), updated);
+    question.set(updated);
+    if (replacesContent) resetItemStats(question);
+    recalculateTopics(quiz);
+    await quiz.save();
+
+    res.json({
+      message: 'Question updated successfully',
+      question,
+      topics: quiz.topics
+    });
+  } catch (error) {
+    console.error('Update question error:', error);
+    res.status(500).json({ message: 'Error updating question' });
+  }
+});
+
+// Replace a single question with a freshly generated one
+router.post('/quiz/:id/questions/:questionId/regenerate', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    // Check if user is the instructor
+    if (quiz.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const question = quiz.questions.find(q => q.questionId === req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const { feedback = '' } = req.body;
+
+    // Lecture text the quiz was generated from (missing for older quizzes)
+    const { lecture, text: lectureText } = await getLectureSource(quiz, question.source?.lecture);
+    const classDoc = await Class.findById(quiz.class);
+
+    let replacement;
+    try {
+      replacement = await aiService.regenerateQuestion(
+        question.toObject(),
+        lectureContext(lectureText, lecture?.sections, lecture?.topics, [question.topic]),
+        feedback,
+        { provider: classDoc?.settings.aiProvider }
+      );
+    } catch (error) {
+      console.error('❌ Question regeneration error:', error);
+      return res.status(502).json({
+        message: 'AI could not generate a replacement question. Please try again.',
+        error: error.message
+      });
+    }
+
+    const errors = validateQuestion({ ...replacement, points: question.points });
+    if (errors.length > 0) {
+      return res.status(502).json({ message: 'AI generated an invalid question. Please try again.', errors });
+    }
+
+    // Older quizzes have no stored lecture to verify a citation against
+    attachCitations([replacement], lecture);
+    replacement.lint = lintQuestion(replacement, quiz.questions.filter(q => q.questionId !== question.questionId));
+
+    question.revisions.unshift({
+      text: question.text,
+      type: question.type,
+      options: question.options.map(option => ({ text: option.text, isCorrect: option.isCorrect })),
+      correctAnswer: question.correctAnswer,
+      items: question.items,
+      pairs: question.pairs.map(pair => ({ left: pair.left, right: pair.right })),
+      blanks: question.blanks.map(blank => ({ acceptedAnswers: blank.acceptedAnswers })),
+      unit: question.unit,
+      explanation: question.explanation,
+      reason: 'ai-regenerate',
+      feedback
+    });
+    question.set(replacement);
+    resetItemStats(question);
+
+    await quiz.save();
+
+    res.json({
+      message: 'Question regenerated successfully',
+      question
+    });
+  } catch (error) {
+    console.error('Regenerate question error:', error);
+    res.status(500).json({ message: 'Error regenerating question' });
+  }
+});
+
+// Delete a single question
+router.delete('/quiz/:id/questions/:questionId', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    // Check if user is the instructor
+    if (quiz.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const question = quiz.questions.find(q => q.questionId === req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (quiz.questions.length === 1) {
+      return res.status(400).json({ message: 'A quiz must have at least one question' });
+    }
+
+    quiz.questions.pull(question._id);
+
+    // Pools shrink with the question; a pool that can't fill its draw draws them all
+    quiz.settings.randomization.pools.forEach(pool => {
+      pool.questionIds = pool.questionIds.filter(id => id !== question.questionId);
+      pool.draw = Math.min(pool.draw, pool.questionIds.length);
+    });
+    quiz.settings.randomization.pools = quiz.settings.randomization.pools.filter(pool => pool.questionIds.length > 0);
+
+    recalculateTopics(quiz);
+    await quiz.save();
+
+    res.json({
+      message: 'Question deleted successfully',
+      totalQuestions: quiz.totalQuestions,
+      topics: quiz.topics
+    });
+  } catch (error) {
+    console.error('Delete question error:', error);
+    res.status(500).json({ message: 'Error deleting question' });
+  }
+});
+
+// Answers whose automatic grade was not confident enough, oldest first
+router.get('/quiz/:id/grading-queue', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    // Check if user is the instructor
+    if (quiz.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const attempts = await Attempt.find({ quiz: quiz._id, 'answers.needsReview': true })
+      .populate('student', 'name email');
+
+    const queue = [];
+    attempts.forEach(attempt => {
+      attempt.answers.filter(a => a.needsReview).forEach(a => {
+        const question = quiz.questions.find(q => q.questionId === a.questionId);
+        queue.push({
+          attemptId: attempt._id,
+          student: attempt.student,
+          questionId: a.questionId,
+          questionText: question?.text,
+          correctAnswer: question?.correctAnswer,
+          acceptedAnswers: question?.acceptedAnswers || [],
+          rubric: question?.rubric || '',
+          answer: a.answer,
+          credit: a.credit,
+          confidence: a.confidence,
+          gradingMethod: a.gradingMethod,
+          feedback: a.feedback,
+          answeredAt: a.timestamp
+        });
+      });
+    });
+
+    queue.sort((a, b) => a.answeredAt - b.answeredAt);
+
+    res.json({ queue, total: queue.length });
+  } catch (error) {
+    console.error('Get grading queue error:', error);
+    res.status(500).json({ message: 'Error fetching grading queue' });
+  }
+});
+
+// Confirm or override the grade of a single answer
+router.put('/quiz/:id/attempts/:attemptId/answers/:questionId/grade', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    // Check if user is the instructor
+    if (quiz.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { credit, feedback } = req.body;
+    if (typeof credit !== 'number' || credit < 0 || credit > 1) {
+      return res.status(400).json({ message: 'Credit must be a number between 0 and 1' });
+    }
+
+    const attempt = await Attempt.findOne({ _id: req.params.attemptId, quiz: quiz._id });
+    if (!attempt) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+
+    const answer = await overrideAnswerGrade(attempt, quiz, req.params.questionId, {
+      credit,
+      feedback,
+      reviewer: req.user._id
+    });
+
+    if (!answer) {
+      return res.status(404).json({ message: 'Answer not found' });
+    }
+
+    res.json({
+      message: 'Grade updated successfully',
+      answer,
+      score: attempt.score,
+      correctAnswers: attempt.correctAnswers
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Attempt was updated at the same time. Please retry.' });
+    }
+    console.error('Override grade error:', error);
+    res.status(500).json({ message: 'Error updating grade' });
+  }
+});
+
+// Grant or update a per-student extension
+router.post('/quiz/:id/extensions', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    // Check if user is the instructor
+    if (quiz.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { studentId, dueAt, closesAt } = req.body;
+
+    const classDoc = await Class.findById(quiz.class);
+    const isEnrolled = classDoc?.students.some(s => s.student.toString() === studentId && s.isActive);
+    if (!isEnrolled) {
+      return res.status(404).json({ message: 'Student is not enrolled in this class' });
+    }
+
+    if (!dueAt && !closesAt) {
+      return res.status(400).json({ message: 'An extended dueAt or closesAt is required' });
+    }
+
+    const errors = validateAvailability({ ...quiz.availability.toObject(), dueAt, closesAt });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid extension', errors });
+    }
+
+    // Replace any previous extension for this student
+    quiz.extensions = quiz.extensions.filter(ext => ext.student.toString() !== studentId);
+    quiz.extensions.push({
+      student: studentId,
+      dueAt: dueAt || null,
+      closesAt: closesAt || null,
+      grantedAt: new Date()
+    });
+
+    await quiz.save();
+
+    res.json({
+      message: 'Extension granted successfully',
+      extension: quiz.extensions.find(ext => ext.student.toString() === studentId),
+      availability: quiz.getAvailabilityFor(studentId)
+    });
+  } catch (error) {
+    console.error('Grant extension error:', error);
+    res.status(500).json({ message: 'Error granting extension' });
+  }
+});
+
+// Remove a per-student extension
+router.delete('/quiz/:id/extensions/:studentId', authenticateToken, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    // Check if user is the instructor
+    if (quiz.instructor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    quiz.extensions = quiz.extensions.filter(ext => ext.student.toString() !== req.params.studentId);
+    await quiz.save();
+
+    res.json({ message: 'Extension removed successfully' });
+  } catch (error) {
+    console.error('Remove extension error:', error);
+    res.status(500).json({ message: 'Error removing extension' });
+  }
+});
+
 // Delete quiz
 router.delete('/quiz/:id', authenticateToken, async (req, res) => {
   try {
@@ -350,6 +1112,9 @@ router.delete('/quiz/:id', authenticateToken, async (req, res) => {
 
     await Quiz.findByIdAndDelete(req.params.id);
 
+    // Unfinished attempts can no longer be completed or scored
+    await Attempt.deleteMany({ quiz: quiz._id, isCompleted: false });
+
     res.json({ message: 'Quiz deleted successfully' });
   } catch (error) {
     console.error('Delete quiz error:', error);
@@ -357,4 +1122,79 @@ router.delete('/quiz/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Helper function to validate a quiz availability window
+function validateAvailability({ opensAt, dueAt, closesAt, latePolicy, latePenalty }) {
+  const errors = [];
+  const dates = {};
+
+  Object.entries({ opensAt, dueAt, closesAt }).forEach(([field, value]) => {
+    if (value === null || value === undefined || value === '') return;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      errors.push(`${field} must be a valid date`);
+    } else {
+      dates[field] = date;
+    }
+  });
+
+  if (dates.opensAt && dates.dueAt && dates.dueAt <= dates.opensAt) {
+    errors.push('dueAt must be after opensAt');
+  }
+  if (dates.opensAt && dates.closesAt && dates.closesAt <= dates.opensAt) {
+    errors.push('closesAt must be after opensAt');
+  }
+  if (dates.dueAt && dates.closesAt && dates.closesAt < dates.dueAt) {
+    errors.push('closesAt cannot be before dueAt');
+  }
+
+  if (latePolicy !== undefined && !['reject', 'accept-with-penalty'].includes(latePolicy)) {
+    errors.push('latePolicy must be reject or accept-with-penalty');
+  }
+  if (latePenalty !== undefined && (typeof latePenalty !== 'number' || latePenalty < 0 || latePenalty > 100)) {
+    errors.push('latePenalty must be a number between 0 and 100');
+  }
+
+  return errors;
+}
+
+// Helper function to validate quiz randomization settings. Pools list
+// existing questions, don't overlap and draw at least one of their questions.
+function validateRandomization({ shuffleQuestions, shuffleOptions, pools }, quiz) {
+  const errors = [];
+
+  if (shuffleQuestions !== undefined && typeof shuffleQuestions !== 'boolean') {
+    errors.push('shuffleQuestions must be true or false');
+  }
+  if (shuffleOptions !== undefined && typeof shuffleOptions !== 'boolean') {
+    errors.push('shuffleOptions must be true or false');
+  }
+  if (pools === undefined) return errors;
+
+  if (!Array.isArray(pools)) {
+    errors.push('pools must be a list');
+    return errors;
+  }
+
+  const questionIds = new Set(quiz.questions.map(question => question.questionId));
+  const pooled = new Set();
+  pools.forEach((pool, index) => {
+    const name = pool?.name || `Pool ${index + 1}`;
+    const ids = Array.isArray(pool?.questionIds) ? pool.questionIds : [];
+
+    if (ids.length === 0) {
+      errors.push(`${name}: questionIds must list at least one question`);
+    }
+    ids.forEach(id => {
+      if (!questionIds.has(id)) errors.push(`${name}: question ${id} is not in this quiz`);
+      if (pooled.has(id)) errors.push(`${name}: question ${id} is already in another pool`);
+      pooled.add(id);
+    });
+    if (!Number.isInteger(pool?.draw) || pool.draw < 1 || pool.draw > ids.length) {
+      errors.push(`${name}: draw must be a whole number from 1 to ${ids.length}`);
+    }
+  });
+
+  return errors;
+}
+
 module.exports = router;
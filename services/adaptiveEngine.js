@@ -0,0 +1,195 @@
+// Item response theory (1PL/Rasch, with an optional discrimination per item)
+// engine for adaptive quizzes. Abilities and item difficulties share the logit
+// scale: a student with ability theta answers an item of difficulty b
+// correctly with probability 1 / (1 + e^-(a(theta - b))).
+//
+// Abilities are estimated per topic and overall with EAP (expected a
+// posteriori) over a grid, using the student's previous estimate from
+// Progress as the prior. The next item is the unserved one that is most
+// informative at the student's current ability for its topic.
+
+// Default item difficulty for each difficulty level
+const DIFFICULTY_LOGITS = { easy: -2, medium: -1, hard: 0, expert: 1, master: 2 };
+
+const GRID = Array.from({ length: 81 }, (_, i) => -4 + i * 0.1);
+const DEFAULT_PRIOR = { theta: 0, standardError: 1 };
+const MIN_PRIOR_SE = 0.6; // keeps old estimates from locking in
+const MIN_QUESTIONS = 5; // never stop before this many answers
+const TARGET_SE = 0.3; // stop once the estimate is this precise
+
+// Calibrated parameters when the item calibrator has enough responses,
+// otherwise the defaults for the question's difficulty label
+function itemParameters(question) {
+  const stats = question.stats;
+  if (stats?.calibrated) {
+    // Logistic approximation of the IRT slope from the point-biserial correlation
+    const r = Math.min(Math.max(stats.discrimination, 0.1), 0.9);
+    return {
+      discrimination: Math.min(Math.max(1.7 * r / Math.sqrt(1 - r * r), 0.3), 2.5),
+      difficulty: stats.irtDifficulty
+    };
+  }
+
+  return {
+    discrimination: 1,
+    difficulty: DIFFICULTY_LOGITS[question.difficulty] ?? 0
+  };
+}
+
+function probabilityCorrect(theta, { discrimination, difficulty }) {
+  return 1 / (1 + Math.exp(-discrimination * (theta - difficulty)));
+}
+
+// Fisher information of an item at ability theta
+function information(theta, item) {
+  const p = probabilityCorrect(theta, item);
+  return item.discrimination * item.discrimination * p * (1 - p);
+}
+
+// EAP estimate from responses [{ item, score (0-1, partial credit allowed) }]
+function estimateAbility(responses, prior = DEFAULT_PRIOR) {
+  const sd = Math.max(prior.standardError, MIN_PRIOR_SE);
+
+  const logWeights = GRID.map(theta => {
+    let logWeight = -((theta - prior.theta) ** 2) / (2 * sd * sd);
+    responses.forEach(({ item, score }) => {
+      const p = probabilityCorrect(theta, item);
+      logWeight += score * Math.log(p) + (1 - score) * Math.log(1 - p);
+    });
+    return logWeight;
+  });
+
+  const max = Math.max(...logWeights);
+  const weights = logWeights.map(logWeight => Math.exp(logWeight - max));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const theta = GRID.reduce((sum, x, i) => sum + x * weights[i], 0) / total;
+  const variance = GRID.reduce((sum, x, i) => sum + (x - theta) ** 2 * weights[i], 0) / total;
+
+  return { theta, standardError: Math.sqrt(variance), responses: responses.length };
+}
+
+// Graded responses of an attempt, grouped by topic
+function collectResponses(quiz, attempt) {
+  const questionsById = new Map(quiz.questions.map(question => [question.questionId, question]));
+  const responses = [];
+
+  attempt.answers.forEach(answer => {
+    const question = questionsById.get(answer.questionId);
+    if (!question) return;
+    responses.push({
+      topic: question.topic,
+      item: itemParameters(question),
+      score: answer.credit ?? (answer.isCorrect ? 1 : 0)
+    });
+  });
+
+  return responses;
+}
+
+// Overall and per-topic ability for an attempt. `progress` supplies the
+// priors from the student's earlier attempts (may be null).
+function estimateAbilities(quiz, attempt, progress) {
+  const responses = collectResponses(quiz, attempt);
+  const overallPrior = progress?.ability?.theta !== undefined && progress.ability.theta !== null
+    ? progress.ability
+    : DEFAULT_PRIOR;
+  const overall = estimateAbility(responses, overallPrior);
+
+  const topics = new Set([...quiz.topics.map(topic => topic.name), ...responses.map(r => r.topic)]);
+  const topicAbilities = [...topics].map(topic => {
+    const previous = (progress?.topicAbilities || []).find(ta => ta.topic === topic);
+    // Topics without history start from the overall estimate
+    const prior = previous || { theta: overall.theta, standardError: DEFAULT_PRIOR.standardError };
+    return { topic, ...estimateAbility(responses.filter(r => r.topic === topic), prior) };
+  });
+
+  return { overall, topicAbilities };
+}
+
+// Ability at which the expected accuracy on a medium item equals the quiz's
+// retake threshold; students estimated below it are advised to retake
+function thresholdAbility(quiz) {
+  const threshold = Math.min(Math.max(quiz.settings.adaptiveSettings?.retakeThreshold ?? 0.6, 0.01), 0.99);
+  return DIFFICULTY_LOGITS.medium + Math.log(threshold / (1 - threshold));
+}
+
+// Questions the engine may serve (limited to the configured difficulty levels)
+function eligibleQuestions(quiz) {
+  const levels = quiz.settings.adaptiveSettings?.difficultyLevels || [];
+  const eligible = quiz.questions.filter(question => levels.length === 0 || levels.includes(question.difficulty));
+  return eligible.length > 0 ? eligible : quiz.questions;
+}
+
+// Why the attempt should stop now, or null to keep going
+function stopReason(quiz, attempt, overall, remaining) {
+  const answered = attempt.answers.length;
+  const questionCount = quiz.settings.adaptiveSettings?.questionCount || quiz.questions.length;
+
+  if (remaining.length === 0) return 'no-questions';
+  if (answered >= questionCount) return 'question-count';
+  if (answered < MIN_QUESTIONS) return null;
+
+  if (overall.standardError <= TARGET_SE) return 'confidence';
+
+  // Confident which side of the retake threshold the student is on
+  if (Math.abs(overall.theta - thresholdAbility(quiz)) > 1.96 * overall.standardError) return 'confidence';
+
+  return null;
+}
+
+// Pick the next question for an adaptive attempt. Returns
+// { question (null when the attempt should end), stopReason, estimate }.
+function selectNextQuestion(quiz, attempt, progress) {
+  const estimate = estimateAbilities(quiz, attempt, progress);
+  const served = new Set([
+    ...attempt.servedQuestions.map(served => served.questionId),
+    ...attempt.answers.map(answer => answer.questionId)
+  ]);
+  const remaining = eligibleQuestions(quiz).filter(question => !served.has(question.questionId));
+
+  const reason = stopReason(quiz, attempt, estimate.overall, remaining);
+  if (reason) {
+    return { question: null, stopReason: reason, estimate };
+  }
+
+  // Fewer answers on a topic break ties, so coverage stays balanced
+  const answeredByTopic = {};
+  collectResponses(quiz, attempt).forEach(r => {
+    answeredByTopic[r.topic] = (answeredByTopic[r.topic] || 0) + 1;
+  });
+
+  let best = null;
+  remaining.forEach(question => {
+    const topicAbility = estimate.topicAbilities.find(ta => ta.topic === question.topic);
+    const theta = topicAbility ? topicAbility.theta : estimate.overall.theta;
+    const info = information(theta, itemParameters(question));
+    const coverage = answeredByTopic[question.topic] || 0;
+
+    if (!best || info > best.info + 1e-9 || (Math.abs(info - best.info) <= 1e-9 && coverage < best.coverage)) {
+      best = { question, info, coverage };
+    }
+  });
+
+  return { question: best.question, stopReason: null, estimate };
+}
+
+// Summary for responses: ability, its standard error and the retake advice
+function describeEstimate(quiz, estimate) {
+  return {
+    theta: estimate.overall.theta,
+    standardError: estimate.overall.standardError,
+    retakeRecommended: estimate.overall.theta < thresholdAbility(quiz),
+    topicAbilities: estimate.topicAbilities
+  };
+}
+
+module.exports = {
+  DIFFICULTY_LOGITS,
+  itemParameters,
+  probabilityCorrect,
+  estimateAbility,
+  estimateAbilities,
+  selectNextQuestion,
+  describeEstimate
+};
@@ -0,0 +1,342 @@
+const { Progress, Attempt } = require('../models/Progress');
+const GameState = require('../models/GameState');
+const { scoreAttempt } = require('./scoringService');
+const { estimateAbilities, describeEstimate } = require('./adaptiveEngine');
+
+// Answers arriving this long after the deadline are still accepted to
+// absorb network latency
+const DEADLINE_GRACE = 5 * 1000; // 5 seconds
+
+// Server-side deadline for an attempt: the quiz time limit, cut short by the
+// availability window when the quiz closes first
+function computeDeadline(quiz, availability, startedAt = new Date()) {
+  const candidates = [new Date(startedAt.getTime() + quiz.timeLimit * 60 * 1000)];
+
+  if (availability.closesAt) {
+    candidates.push(new Date(availability.closesAt));
+  }
+  if (availability.latePolicy === 'reject' && availability.dueAt) {
+    candidates.push(new Date(availability.dueAt));
+  }
+
+  return new Date(Math.min(...candidates.map(date => date.getTime())));
+}
+
+// Attempts created before deadlines were stored fall back to createdAt + time limit
+function getDeadline(attempt, quiz) {
+  if (attempt.deadline) return attempt.deadline;
+  const startedAt = attempt.startedAt || attempt.createdAt;
+  return new Date(startedAt.getTime() + quiz.timeLimit * 60 * 1000);
+}
+
+function isExpired(attempt, quiz, now = new Date()) {
+  return now.getTime() > getDeadline(attempt, quiz).getTime() + DEADLINE_GRACE;
+}
+
+// Seconds left before the deadline (never negative)
+function getTimeRemaining(attempt, quiz, now = new Date()) {
+  return Math.max(0, Math.floor((getDeadline(attempt, quiz).getTime() - now.getTime()) / 1000));
+}
+
+// Question the student is currently expected to answer: the last one served
+// that has no answer yet
+function getCurrentQuestionId(attempt) {
+  const answered = new Set(attempt.answers.map(answer => answer.questionId));
+  const current = [...attempt.servedQuestions].reverse().find(served => !answered.has(served.questionId));
+  return current ? current.questionId : null;
+}
+
+function wasServed(attempt, questionId) {
+  return attempt.servedQuestions.some(served => served.questionId === questionId) ||
+    attempt.answers.some(answer => answer.questionId === questionId);
+}
+
+// Record that a question was shown to the student, in order
+function serveQuestion(attempt, question) {
+  if (!question || wasServed(attempt, question.questionId)) return;
+
+  attempt.servedQuestions.push({
+    questionId: question.questionId,
+    order: attempt.servedQuestions.length + 1,
+    servedAt: new Date()
+  });
+}
+
+// Whether a student may start another attempt, given their completed ones
+// (oldest first)
+function getAttemptAllowance(quiz, completedAttempts, now = new Date()) {
+  const { allowRetake, maxAttempts, cooldownMinutes } = quiz.settings;
+  const attemptsUsed = completedAttempts.length;
+  const limit = allowRetake ? maxAttempts : 1;
+  const allowance = {
+    allowed: true,
+    reason: null,
+    attemptsUsed,
+    attemptsRemaining: limit ? Math.max(0, limit - attemptsUsed) : null,
+    nextAttemptAt: null
+  };
+
+  if (limit && attemptsUsed >= limit) {
+    allowance.allowed = false;
+    allowance.reason = allowRetake ? 'Maximum number of attempts reached' : 'Retakes are not allowed for this quiz';
+    return allowance;
+  }
+
+  const lastAttempt = completedAttempts[attemptsUsed - 1];
+  if (lastAttempt && cooldownMinutes > 0) {
+    const nextAttemptAt = new Date(lastAttempt.completedAt.getTime() + cooldownMinutes * 60 * 1000);
+    if (nextAttemptAt > now) {
+      allowance.allowed = false;
+      allowance.reason = 'Please wait before starting another attempt';
+      allowance.nextAttemptAt = nextAttemptAt;
+    }
+  }
+
+  return allowance;
+}
+
+// Grade across completed attempts (oldest first) according to the quiz's grading policy
+function computeGrade(quiz, completedAttempts) {
+  if (completedAttempts.length === 0) return 0;
+
+  const scores = completedAttempts.map(attempt => attempt.score);
+  switch (quiz.settings.gradingPolicy) {
+    case 'latest':
+      return scores[scores.length - 1];
+    case 'average':
+      return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    default:
+      return Math.max(...scores);
+  }
+}
+
+// progress.bestScore holds the grade under the quiz's grading policy
+async function updateProgressGrade(progress, quiz) {
+  const completedAttempts = await Attempt.find({
+    student: progress.student,
+    quiz: progress.quiz,
+    isCompleted: true
+  }).sort({ completedAt: 1 }).select('score completedAt');
+
+  progress.bestScore = computeGrade(quiz, completedAttempts);
+}
+
+// Count an answer towards the student's mastery of its topic
+function recordTopicResult(progress, topic, isCorrect) {
+  const mastery = progress.topicMastery.find(tm => tm.topic === topic);
+  if (!mastery) return;
+
+  mastery.questionsAnswered += 1;
+  if (isCorrect) {
+    mastery.correctAnswers += 1;
+  }
+  mastery.mastery = (mastery.correctAnswers / mastery.questionsAnswered) * 100;
+}
+
+function updateTopicLists(progress) {
+  progress.weakTopics = progress.topicMastery
+    .filter(tm => tm.mastery < 70 && tm.questionsAnswered > 0)
+    .map(tm => tm.topic);
+
+  progress.strongTopics = progress.topicMastery
+    .filter(tm => tm.mastery >= 80 && tm.questionsAnswered > 0)
+    .map(tm => tm.topic);
+}
+
+// Replace the grade of one answer with the instructor's and rescore the
+// attempt (and the student's progress) if it is already completed
+async function overrideAnswerGrade(attempt, quiz, questionId, { credit, feedback, reviewer }) {
+  const answer = attempt.answers.find(a => a.questionId === questionId);
+  if (!answer) return null;
+
+  const wasCorrect = answer.isCorrect;
+  answer.credit = credit;
+  answer.isCorrect = credit >= 1;
+  answer.confidence = 1;
+  answer.gradingMethod = 'instructor';
+  answer.needsReview = false;
+  answer.reviewedBy = reviewer;
+  answer.reviewedAt = new Date();
+  if (feedback !== undefined) answer.feedback = feedback;
+
+  attempt.correctAnswers = attempt.answers.filter(a => a.isCorrect).length;
+  if (attempt.isCompleted) {
+    const { score, breakdown } = scoreAttempt(attempt, quiz);
+    attempt.score = score;
+    attempt.scoreBreakdown = breakdown;
+  }
+  await attempt.save();
+
+  const progress = await Progress.findOne({ student: attempt.student, quiz: attempt.quiz });
+  if (progress) {
+    // Keep topic mastery in line with the corrected grade
+    const question = quiz.questions.find(q => q.questionId === questionId);
+    const mastery = question && progress.topicMastery.find(tm => tm.topic === question.topic);
+    if (mastery && wasCorrect !== answer.isCorrect) {
+      mastery.correctAnswers += answer.isCorrect ? 1 : -1;
+      mastery.mastery = (mastery.correctAnswers / mastery.questionsAnswered) * 100;
+    }
+
+    if (attempt.isCompleted) {
+      await updateProgressGrade(progress, quiz);
+    }
+    await progress.save();
+  }
+
+  return answer;
+}
+
+// Complete an attempt, score it and update progress and game state.
+// Returns null when the attempt was already finalized elsewhere (e.g. by the
+// sweeper racing a last-second answer).
+async function finalizeAttempt(attempt, quiz, reason = 'submitted') {
+  const now = new Date();
+
+  attempt.isCompleted = true;
+  attempt.completedAt = now;
+  attempt.completionReason = reason;
+
+  // Time actually spent, measured on the server and capped at the deadline
+  const startedAt = attempt.startedAt || attempt.createdAt;
+  const endedAt = Math.min(now.getTime(), getDeadline(attempt, quiz).getTime());
+  attempt.timeSpent = Math.max(0, Math.round((endedAt - startedAt.getTime()) / 1000));
+
+  // Scored after timeSpent is known, for the time bonus
+  const { score, breakdown } = scoreAttempt(attempt, quiz);
+  attempt.score = score;
+  attempt.scoreBreakdown = breakdown;
+
+  const progress = await Progress.findOne({
+    student: attempt.student,
+    quiz: attempt.quiz
+  });
+
+  // Ability estimate, using the student's previous estimate as the prior
+  const estimate = estimateAbilities(quiz, attempt, progress);
+  const { theta, standardError, retakeRecommended } = describeEstimate(quiz, estimate);
+  attempt.abilityEstimate = { theta, standardError, retakeRecommended };
+  attempt.topicAbilities = estimate.topicAbilities;
+
+  // The completion flag is written together with the score in one
+  // conditional update, so an attempt is never left completed but unscored
+  // and only one caller gets to finalize it
+  const claimed = await Attempt.updateOne(
+    { _id: attempt._id, isCompleted: false },
+    {
+      $set: {
+        isCompleted: true,
+        completedAt: now,
+        completionReason: reason,
+        timeSpent: attempt.timeSpent,
+        score,
+        scoreBreakdown: breakdown,
+        abilityEstimate: attempt.abilityEstimate,
+        topicAbilities: estimate.topicAbilities,
+        stopReason: attempt.stopReason ?? null
+      }
+    }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+
+  // Update progress
+  if (progress) {
+    await updateProgressGrade(progress, quiz);
+
+    // Carry the estimate over as the prior for the next attempt
+    progress.ability = { theta, standardError, updatedAt: now };
+    progress.topicAbilities = estimate.topicAbilities;
+
+    // Update weak and strong topics
+    updateTopicLists(progress);
+
+    await progress.save();
+  }
+
+  // Update game state
+  const gameResult = await updateGameState(attempt.student, attempt, quiz);
+
+  return { attempt, progress, gameResult };
+}
+
+// Helper function to update game state
+async function updateGameState(userId, attempt, quiz) {
+  try {
+    let gameState = await GameState.findOne({ student: userId });
+
+    if (!gameState) {
+      gameState = new GameState({ student: userId });
+    }
+
+    // Calculate XP based on performance
+    const baseXP = 50;
+    const accuracyBonus = Math.floor(attempt.score / 10) * 10;
+    const speedBonus = attempt.timeSpent < quiz.timeLimit * 30 ? 20 : 0; // Bonus for finishing early
+    const totalXP = baseXP + accuracyBonus + speedBonus;
+
+    // Add XP and check for level up
+    const levelResult = gameState.addXP(totalXP, 'quiz_completion');
+
+    // Update stats
+    gameState.stats.totalQuizzesCompleted += 1;
+    gameState.stats.totalQuestionsAnswered += attempt.totalQuestions;
+    gameState.stats.totalCorrectAnswers += attempt.correctAnswers;
+    gameState.stats.averageAccuracy =
+      (gameState.stats.totalCorrectAnswers / gameState.stats.totalQuestionsAnswered) * 100;
+    gameState.stats.totalTimeSpent += Math.floor(attempt.timeSpent / 60); // Convert to minutes
+
+    if (!gameState.stats.fastestQuiz || attempt.timeSpent < gameState.stats.fastestQuiz) {
+      gameState.stats.fastestQuiz = attempt.timeSpent;
+    }
+
+    // Update streak
+    const now = new Date();
+    const lastActivity = new Date(gameState.streaks.lastActivity);
+    const daysDiff = Math.floor((now - lastActivity) / (1000 * 60 * 60 * 24));
+
+    if (daysDiff === 1) {
+      gameState.streaks.current += 1;
+    } else if (daysDiff > 1) {
+      gameState.streaks.current = 1;
+    }
+
+    if (gameState.streaks.current > gameState.streaks.longest) {
+      gameState.streaks.longest = gameState.streaks.current;
+    }
+
+    gameState.streaks.lastActivity = now;
+
+    // Check for new badges
+    const newBadges = gameState.checkBadges();
+
+    await gameState.save();
+
+    return {
+      levelResult,
+      newBadges,
+      xpGained: totalXP
+    };
+  } catch (error) {
+    console.error('Update game state error:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  DEADLINE_GRACE,
+  computeDeadline,
+  getDeadline,
+  isExpired,
+  getTimeRemaining,
+  getCurrentQuestionId,
+  wasServed,
+  serveQuestion,
+  recordTopicResult,
+  updateTopicLists,
+  getAttemptAllowance,
+  computeGrade,
+  overrideAnswerGrade,
+  finalizeAttempt
+};
@@ -0,0 +1,91 @@
+const { Attempt } = require('../models/Progress');
+const Quiz = require('../models/Quiz');
+const { DEADLINE_GRACE, finalizeAttempt, getDeadline, isExpired } = require('./attemptService');
+
+const SWEEP_INTERVAL = 60 * 1000; // 1 minute
+const BATCH_SIZE = 100;
+
+// Periodically completes attempts whose deadline has passed (students who
+// closed the tab or lost connection) so they are scored and show up in
+// analytics instead of staying "in progress" forever.
+class AttemptSweeper {
+  constructor() {
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  start(sweepInterval = SWEEP_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.sweep(), sweepInterval);
+    this.sweep();
+    console.log('🧹 Attempt sweeper started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sweep() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      // Attempts started before deadlines were stored have none; they are
+      // picked up too and checked against the createdAt + time limit fallback
+      const expired = await Attempt.find({
+        isCompleted: false,
+        $or: [
+          { deadline: { $lt: new Date(Date.now() - DEADLINE_GRACE) } },
+          { deadline: null }
+        ]
+      }).limit(BATCH_SIZE);
+
+      let finalized = 0;
+      for (const attempt of expired) {
+        // One failing attempt must not hold up the rest of the batch
+        try {
+          if (await this.sweepAttempt(attempt)) finalized += 1;
+        } catch (error) {
+          console.error(`❌ Attempt sweeper error for attempt ${attempt._id}:`, error.message);
+        }
+      }
+
+      if (finalized > 0) {
+        console.log(`🧹 Finalized ${finalized} expired quiz attempt(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Attempt sweeper error:', error.message);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  // Finalize one expired attempt; returns whether it was scored
+  async sweepAttempt(attempt) {
+    const quiz = await Quiz.findById(attempt.quiz);
+    if (!quiz) {
+      // The quiz was deleted; close the attempt so it leaves the batch
+      await Attempt.updateOne(
+        { _id: attempt._id, isCompleted: false },
+        { $set: { isCompleted: true, completedAt: new Date() } }
+      );
+      return false;
+    }
+
+    if (!attempt.deadline) {
+      // Store the fallback deadline so an attempt that is still running is
+      // only picked up again once it has passed
+      await Attempt.updateOne(
+        { _id: attempt._id, deadline: null },
+        { $set: { deadline: getDeadline(attempt, quiz) } }
+      );
+      if (!isExpired(attempt, quiz)) return false;
+    }
+
+    return !!(await finalizeAttempt(attempt, quiz, 'time-expired'));
+  }
+}
+
+module.exports = new AttemptSweeper();
@@ -0,0 +1,140 @@
+const { pageAt } = require('./extractors/structure');
+
+// Generated questions quote the sentence of the lecture that supports their
+// answer (`sourceQuote`). The quote is only kept as a citation once it has
+// been found in the lecture's extracted text; its span is then resolved to
+// the containing paragraph, section and page.
+
+const MIN_QUOTE_LENGTH = 20;
+const ANCHOR_WORDS = 6; // words matched at each end of a loosely quoted passage
+
+// Lowercase, straighten quotes and collapse whitespace, keeping a map from
+// every normalized character back to its offset in the original text
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let pendingSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i]
+      .replace(/[‘’]/, '\'')
+      .replace(/[“”]/, '"')
+      .replace(/[–—]/, '-')
+      .toLowerCase();
+
+    if (/\s/.test(char)) {
+      pendingSpace = normalized.length > 0;
+      continue;
+    }
+    if (pendingSpace) {
+      normalized += ' ';
+      offsets.push(i);
+      pendingSpace = false;
+    }
+    normalized += char;
+    offsets.push(i);
+  }
+
+  return { normalized, offsets };
+}
+
+// Span { startOffset, endOffset, match } of `quote` in `text`, or null.
+// Exact matches are tried first, then matches ignoring case and whitespace,
+// then passages whose first and last few words match in order (the model
+// dropped or reworded something in the middle).
+function findQuote(text, quote) {
+  const exact = text.indexOf(quote);
+  if (exact !== -1) {
+    return { startOffset: exact, endOffset: exact + quote.length, match: 'exact' };
+  }
+
+  const source = normalizeWithOffsets(text);
+  const target = normalizeWithOffsets(quote).normalized;
+
+  const index = source.normalized.indexOf(target);
+  if (index !== -1) {
+    return {
+      startOffset: source.offsets[index],
+      endOffset: source.offsets[index + target.length - 1] + 1,
+      match: 'normalized'
+    };
+  }
+
+  const words = target.split(' ');
+  if (words.length < ANCHOR_WORDS * 2) return null;
+
+  const head = words.slice(0, ANCHOR_WORDS).join(' ');
+  const tail = words.slice(-ANCHOR_WORDS).join(' ');
+  const start = source.normalized.indexOf(head);
+  if (start === -1) return null;
+
+  const end = source.normalized.indexOf(tail, start + head.length);
+  if (end === -1 || end + tail.length - start > target.length * 1.5) return null;
+
+  return {
+    startOffset: source.offsets[start],
+    endOffset: source.offsets[end + tail.length - 1] + 1,
+    match: 'partial'
+  };
+}
+
+// Paragraph (blank-line delimited block) around a span
+function paragraphAround(text, startOffset, endOffset) {
+  const before = text.lastIndexOf('\n\n', startOffset);
+  const after = text.indexOf('\n\n', endOffset);
+  return {
+    paragraphStart: before === -1 ? 0 : before + 2,
+    paragraphEnd: after === -1 ? text.length : after
+  };
+}
+
+// Innermost section containing `offset`
+function sectionAt(lecture, offset) {
+  return (lecture.sections || [])
+    .filter(section => section.startOffset <= offset && offset < section.endOffset)
+    .sort((a, b) => b.level - a.level)[0] || null;
+}
+
+// Citation for `quote` in the lecture, or null when it can't be verified
+function locateQuote(lecture, quote) {
+  if (!lecture?.extractedText || typeof quote !== 'string') return null;
+
+  const trimmed = quote.trim().replace(/^["']|["']$/g, '');
+  if (trimmed.length < MIN_QUOTE_LENGTH) return null;
+
+  const span = findQuote(lecture.extractedText, trimmed);
+  if (!span) return null;
+
+  const section = sectionAt(lecture, span.startOffset);
+  return {
+    lecture: lecture._id,
+    quote: lecture.extractedText.slice(span.startOffset, span.endOffset),
+    startOffset: span.startOffset,
+    endOffset: span.endOffset,
+    ...paragraphAround(lecture.extractedText, span.startOffset, span.endOffset),
+    page: pageAt(lecture.pageOffsets, span.startOffset) ?? section?.page ?? null,
+    section: section ? section.title : null,
+    match: span.match
+  };
+}
+
+// Replace each generated question's `sourceQuote` with a verified `source`
+// citation (null when the quote isn't in the lecture). Returns how many
+// questions could be cited.
+function attachCitations(questions, lecture) {
+  let cited = 0;
+
+  questions.forEach(question => {
+    question.source = locateQuote(lecture, question.sourceQuote);
+    delete question.sourceQuote;
+    if (question.source) cited += 1;
+  });
+
+  return cited;
+}
+
+module.exports = {
+  findQuote,
+  locateQuote,
+  attachCitations
+};
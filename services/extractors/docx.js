@@ -0,0 +1,21 @@
+const mammoth = require('mammoth');
+const { locateHeadings } = require('./structure');
+const { decodeEntities } = require('./html');
+
+async function extract(buffer) {
+  const [raw, html] = await Promise.all([
+    mammoth.extractRawText({ buffer }),
+    mammoth.convertToHtml({ buffer })
+  ]);
+  const text = raw.value;
+
+  // Word heading styles are more reliable than guessing from the text
+  const titles = [...html.value.matchAll(/<h([1-3])[^>]*>(.*?)<\/h\1>/g)].map(match => ({
+    level: parseInt(match[1]),
+    title: decodeEntities(match[2].replace(/<[^>]+>/g, '')).trim()
+  })).filter(heading => heading.title);
+
+  return { text, headings: titles.length > 0 ? locateHeadings(text, titles) : undefined };
+}
+
+module.exports = { extract };
@@ -0,0 +1,48 @@
+const JSZip = require('jszip');
+const { parseXml, descendants, attribute, readEntry, resolvePath } = require('./xml');
+const { htmlToText } = require('./html');
+
+// Chapters are read in spine (reading) order; each chapter's headings are
+// kept, and chapters without any are headed by their <title>
+async function extract(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const container = await readEntry(zip, 'META-INF/container.xml');
+  if (!container) throw new Error('Not an EPUB file');
+
+  const rootfile = descendants(parseXml(container), 'rootfile')[0];
+  const opfPath = rootfile && attribute(rootfile, 'full-path');
+  const opf = opfPath && await readEntry(zip, opfPath);
+  if (!opf) throw new Error('EPUB package document is missing');
+
+  const packageDoc = parseXml(opf);
+  const manifest = {};
+  descendants(packageDoc, 'item').forEach(item => {
+    manifest[attribute(item, 'id')] = {
+      path: resolvePath(opfPath, attribute(item, 'href')),
+      mediaType: attribute(item, 'media-type') || '',
+      properties: attribute(item, 'properties') || ''
+    };
+  });
+
+  const chapters = [];
+  for (const itemref of descendants(packageDoc, 'itemref')) {
+    const item = manifest[attribute(itemref, 'idref')];
+    if (!item || !/html/.test(item.mediaType) || item.properties.includes('nav')) continue;
+
+    const html = await readEntry(zip, item.path);
+    if (!html) continue;
+
+    const chapter = htmlToText(html);
+    if (!chapter.text.trim()) continue;
+
+    if (chapter.headings.length === 0 && chapter.title) {
+      chapter.text = `${chapter.title}\n\n${chapter.text}`;
+      chapter.headings = [{ title: chapter.title, level: 1, startOffset: 0 }];
+    }
+    chapters.push(chapter);
+  }
+
+  return { parts: chapters };
+}
+
+module.exports = { extract };
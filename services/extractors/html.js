@@ -0,0 +1,93 @@
+// HTML (and the XHTML chapters of EPUBs) to plain text. Block elements become
+// line breaks, <h1>-<h6> become headings; scripts, styles and the <head> are
+// dropped.
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', deg: '°', times: '×', divide: '÷', plusmn: '±', micro: 'µ'
+};
+
+const PARAGRAPH_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'aside', 'main', 'nav', 'blockquote',
+  'pre', 'ul', 'ol', 'dl', 'table', 'figure', 'figcaption', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+]);
+const LINE_TAGS = new Set(['br', 'li', 'tr', 'dt', 'dd']);
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Returns { text, headings, title } where title is the document's <title>
+function htmlToText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|template|svg)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+  let text = '';
+  const headings = [];
+  let heading = null;
+  let preDepth = 0;
+
+  // Ensure the text ends with at least `breaks` newlines
+  const breakLine = breaks => {
+    if (!text) return;
+    text = text.replace(/[ \t]+$/, '');
+    const trailing = text.match(/\n*$/)[0].length;
+    text += '\n'.repeat(Math.max(0, breaks - trailing));
+  };
+
+  const tokens = cleaned.match(/<\/?[a-zA-Z][^>]*>|[^<]+|</g) || [];
+  tokens.forEach(token => {
+    const tag = token.match(/^<(\/?)([a-zA-Z][\w:-]*)/);
+    if (!tag) {
+      let value = decodeEntities(token);
+      if (preDepth === 0) {
+        value = value.replace(/\s+/g, ' ');
+        if (!text || /\s$/.test(text)) value = value.replace(/^ /, '');
+      }
+      text += value;
+      return;
+    }
+
+    const closing = tag[1] === '/';
+    const name = tag[2].toLowerCase().split(':').pop();
+
+    if (name === 'pre') preDepth += closing ? -1 : 1;
+
+    if (PARAGRAPH_TAGS.has(name)) {
+      if (closing && heading && name === `h${heading.level}`) {
+        const title = text.slice(heading.startOffset).trim();
+        if (title) headings.push({ title, level: heading.level, startOffset: heading.startOffset });
+        heading = null;
+      }
+      breakLine(2);
+      if (!closing && /^h[1-6]$/.test(name)) {
+        heading = { level: parseInt(name[1]), startOffset: text.length };
+      }
+    } else if (LINE_TAGS.has(name)) {
+      breakLine(1);
+      if (!closing && name === 'li') text += '- ';
+    }
+  });
+
+  return {
+    text: text.trimEnd(),
+    headings,
+    title: titleMatch ? decodeEntities(titleMatch[1].replace(/<[^>]+>/g, '')).trim() : ''
+  };
+}
+
+async function extract(buffer) {
+  const { text, headings } = htmlToText(buffer.toString('utf-8'));
+  return { text, headings };
+}
+
+module.exports = { extract, htmlToText, decodeEntities };
@@ -0,0 +1,73 @@
+const pdf = require('./pdf');
+const docx = require('./docx');
+const text = require('./text');
+const markdown = require('./markdown');
+const html = require('./html');
+const pptx = require('./pptx');
+const epub = require('./epub');
+const odt = require('./odt');
+const { findHeadings, buildSections, joinParts } = require('./structure');
+
+// Extractors by file extension. Each returns { text, headings?, pageOffsets? }
+// or, for documents made of several parts (slides, chapters),
+// { parts: [{ text, headings }], pagePerPart? }. Without headings they are
+// guessed from the text.
+const EXTRACTORS = {
+  pdf,
+  docx,
+  txt: text,
+  md: markdown,
+  markdown,
+  html,
+  htm: html,
+  pptx,
+  epub,
+  odt
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(EXTRACTORS);
+
+function fileExtension(fileName) {
+  return String(fileName).split('.').pop().toLowerCase();
+}
+
+// Extract the text of an uploaded file with its page and section structure.
+// Returns { text, pageCount, pageOffsets, sections }.
+async function extractDocument(file) {
+  const { originalname, buffer } = file;
+  const extension = fileExtension(originalname);
+
+  try {
+    const extractor = EXTRACTORS[extension];
+    if (!extractor) {
+      throw new Error(`Unsupported file format: ${extension}`);
+    }
+
+    const result = await extractor.extract(buffer);
+    let { text: extracted, headings, pageOffsets } = result;
+
+    if (result.parts) {
+      const joined = joinParts(result.parts);
+      extracted = joined.text;
+      headings = joined.headings;
+      pageOffsets = result.pagePerPart ? joined.partOffsets : undefined;
+    }
+
+    pageOffsets = pageOffsets || [];
+    return {
+      text: extracted,
+      pageCount: pageOffsets.length || null,
+      pageOffsets,
+      sections: buildSections(extracted, headings || findHeadings(extracted), pageOffsets)
+    };
+  } catch (error) {
+    console.error('Text extraction error:', error);
+    throw new Error(`Failed to extract text from ${originalname}`);
+  }
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  fileExtension,
+  extractDocument
+};
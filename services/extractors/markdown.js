@@ -0,0 +1,40 @@
+// Markdown is kept as written (models read it fine); ATX ("## Title") and
+// setext (underlined) headings outside code fences become headings
+async function extract(buffer) {
+  const text = buffer.toString('utf-8').replace(/\r\n?/g, '\n');
+  const lines = text.split('\n');
+  const headings = [];
+  let offset = 0;
+  let inFence = false;
+
+  lines.forEach((line, index) => {
+    const lineOffset = offset;
+    offset += line.length + 1;
+
+    if (/^ {0,3}(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    const atx = line.match(/^ {0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (atx) {
+      headings.push({ title: atx[2], level: atx[1].length, startOffset: lineOffset });
+      return;
+    }
+
+    // "Title" followed by "=====" or "-----"
+    const underline = lines[index + 1]?.match(/^ {0,3}(=+|-+)\s*$/);
+    if (underline && line.trim() && !/^\s*([-*+]|\d+\.)\s/.test(line)) {
+      headings.push({
+        title: line.trim(),
+        level: underline[1][0] === '=' ? 1 : 2,
+        startOffset: lineOffset + line.indexOf(line.trim())
+      });
+    }
+  });
+
+  return { text, headings };
+}
+
+module.exports = { extract };
@@ -0,0 +1,56 @@
+const JSZip = require('jszip');
+const { parseXml, localName, childElements, firstDescendant, attribute, readEntry } = require('./xml');
+
+// Elements whose text is not part of the document body
+const SKIPPED = new Set(['tracked-changes', 'sequence-decls', 'note', 'annotation']);
+
+// Text of a paragraph or heading, honouring ODF whitespace elements
+function inlineText(node) {
+  return Array.from(node.childNodes || []).map(child => {
+    if (child.nodeType === 3) return child.data;
+    if (child.nodeType !== 1) return '';
+
+    switch (localName(child)) {
+      case 's': return ' '.repeat(parseInt(attribute(child, 'text:c')) || 1);
+      case 'tab': return '\t';
+      case 'line-break': return '\n';
+      default: return SKIPPED.has(localName(child)) ? '' : inlineText(child);
+    }
+  }).join('');
+}
+
+// <text:h> elements are headings (outline level = heading level)
+async function extract(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = await readEntry(zip, 'content.xml');
+  if (!content) throw new Error('Not an OpenDocument text file');
+
+  const body = firstDescendant(parseXml(content), 'text');
+  if (!body) return { text: '', headings: [] };
+
+  let text = '';
+  const headings = [];
+
+  const append = (value, level) => {
+    const trimmed = value.trim();
+    if (!trimmed) return;
+    if (text) text += '\n\n';
+    if (level) headings.push({ title: trimmed, level, startOffset: text.length });
+    text += trimmed;
+  };
+
+  const walk = node => {
+    childElements(node).forEach(child => {
+      const name = localName(child);
+      if (SKIPPED.has(name)) return;
+      if (name === 'h') append(inlineText(child), parseInt(attribute(child, 'text:outline-level')) || 1);
+      else if (name === 'p') append(inlineText(child));
+      else walk(child);
+    });
+  };
+  walk(body);
+
+  return { text, headings };
+}
+
+module.exports = { extract };
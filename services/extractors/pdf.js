@@ -0,0 +1,37 @@
+const pdfParse = require('pdf-parse');
+
+// Same text layout as pdf-parse's default renderer, one page at a time
+async function renderPage(pageData) {
+  const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  content.items.forEach(item => {
+    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  });
+  return text;
+}
+
+// Pages are kept apart so sections and citations know their page
+async function extract(buffer) {
+  const pages = [];
+  await pdfParse(buffer, {
+    pagerender: async pageData => {
+      const pageText = await renderPage(pageData);
+      pages.push(pageText);
+      return pageText;
+    }
+  });
+
+  const pageOffsets = [];
+  let text = '';
+  pages.forEach((pageText, index) => {
+    if (index > 0) text += '\n\n';
+    pageOffsets.push(text.length);
+    text += pageText;
+  });
+
+  return { text, pageOffsets };
+}
+
+module.exports = { extract };
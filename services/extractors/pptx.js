@@ -0,0 +1,82 @@
+const JSZip = require('jszip');
+const {
+  parseXml,
+  descendants,
+  firstDescendant,
+  attribute,
+  readEntry,
+  readRelationships
+} = require('./xml');
+
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+
+// Text of a DrawingML paragraph (<a:p>)
+function paragraphText(paragraph) {
+  return descendants(paragraph, 't').map(node => node.textContent).join('').trim();
+}
+
+function placeholderType(shape) {
+  const placeholder = firstDescendant(shape, 'ph');
+  return placeholder ? attribute(placeholder, 'type') || 'body' : null;
+}
+
+// { title, body } of one slide; table cells and grouped shapes are included
+function readSlide(xml) {
+  const doc = parseXml(xml);
+  const titleShape = descendants(doc, 'sp').find(shape => TITLE_PLACEHOLDERS.includes(placeholderType(shape)));
+  const titleParagraphs = new Set(titleShape ? descendants(titleShape, 'p') : []);
+
+  const title = [...titleParagraphs].map(paragraphText).filter(Boolean).join(' ');
+  const body = descendants(doc, 'p')
+    .filter(paragraph => !titleParagraphs.has(paragraph))
+    .map(paragraphText)
+    .filter(Boolean);
+
+  return { title, body };
+}
+
+// Speaker notes live in the notes slide's body placeholder
+function readNotes(xml) {
+  return descendants(parseXml(xml), 'sp')
+    .filter(shape => placeholderType(shape) === 'body')
+    .flatMap(shape => descendants(shape, 'p').map(paragraphText))
+    .filter(Boolean);
+}
+
+// Every slide becomes a page headed by its title, followed by its speaker notes
+async function extract(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const presentation = await readEntry(zip, 'ppt/presentation.xml');
+  if (!presentation) throw new Error('Not a PowerPoint presentation');
+
+  const relationships = await readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt/presentation.xml');
+  const slidePaths = descendants(parseXml(presentation), 'sldId')
+    .map(slideId => relationships[attribute(slideId, 'r:id')]?.target)
+    .filter(Boolean);
+
+  const slides = [];
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const xml = await readEntry(zip, slidePath);
+    if (!xml) continue;
+
+    const { title, body } = readSlide(xml);
+
+    const slideRels = await readRelationships(zip, slidePath.replace(/([^/]+)$/, '_rels/$1.rels'), slidePath);
+    const notesRel = Object.values(slideRels).find(rel => rel.type.endsWith('/notesSlide'));
+    const notesXml = notesRel ? await readEntry(zip, notesRel.target) : null;
+    const notes = notesXml ? readNotes(notesXml) : [];
+
+    const heading = title || `Slide ${index + 1}`;
+    const parts = [heading, body.join('\n')];
+    if (notes.length > 0) parts.push(`Speaker notes:\n${notes.join('\n')}`);
+
+    slides.push({
+      text: parts.filter(Boolean).join('\n\n'),
+      headings: [{ title: heading, level: 1, startOffset: 0 }]
+    });
+  }
+
+  return { parts: slides, pagePerPart: true };
+}
+
+module.exports = { extract };
@@ -0,0 +1,119 @@
+// Heading detection and section building shared by the extractors. Offsets
+// are character offsets into the extracted text.
+
+const MAX_HEADING_LENGTH = 80;
+
+// Lines that look like headings in plain text: markdown headings, "Chapter 3",
+// numbered headings ("2.1 Cell Structure") and short ALL CAPS lines
+function headingLevel(line) {
+  const markdown = line.match(/^(#{1,6})\s+(.+)$/);
+  if (markdown) return { level: markdown[1].length, title: markdown[2].trim() };
+
+  if (line.length > MAX_HEADING_LENGTH || /[.:;,]$/.test(line)) return null;
+
+  if (/^(chapter|part|lecture|module|unit|section)\s+\d+\b/i.test(line)) {
+    return { level: 1, title: line };
+  }
+
+  const numbered = line.match(/^(\d+(?:\.\d+){0,2})\.?\s+(\p{Lu}.*)$/u);
+  if (numbered && numbered[2].split(/\s+/).length <= 10) {
+    return { level: numbered[1].split('.').length, title: line };
+  }
+
+  if (/\p{L}{2}/u.test(line) && line === line.toUpperCase() && line.split(/\s+/).length <= 8) {
+    return { level: 1, title: line };
+  }
+
+  return null;
+}
+
+// Headings with their character offset in `text`
+function findHeadings(text) {
+  const headings = [];
+  let offset = 0;
+
+  text.split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    const heading = line && headingLevel(line);
+    if (heading) {
+      headings.push({ ...heading, startOffset: offset + rawLine.indexOf(line) });
+    }
+    offset += rawLine.length + 1;
+  });
+
+  return headings;
+}
+
+// Locate known heading titles (e.g. DOCX <h1>-<h3>) in the raw text, in order
+function locateHeadings(text, titles) {
+  const headings = [];
+  let from = 0;
+
+  titles.forEach(({ title, level }) => {
+    const index = text.indexOf(title, from);
+    if (index === -1) return;
+    headings.push({ title, level, startOffset: index });
+    from = index + title.length;
+  });
+
+  return headings;
+}
+
+// 1-based page containing `offset`, given each page's start offset
+function pageAt(pageOffsets, offset) {
+  if (!pageOffsets || pageOffsets.length === 0) return null;
+  let page = 1;
+  pageOffsets.forEach((start, index) => {
+    if (start <= offset) page = index + 1;
+  });
+  return page;
+}
+
+// Turn headings into sections that run until the next heading. Documents
+// without headings fall back to one section per page.
+function buildSections(text, headings, pageOffsets) {
+  if (headings.length === 0) {
+    return (pageOffsets || []).map((start, index) => ({
+      title: `Page ${index + 1}`,
+      level: 1,
+      page: index + 1,
+      startOffset: start,
+      endOffset: index + 1 < pageOffsets.length ? pageOffsets[index + 1] : text.length
+    }));
+  }
+
+  return headings.map((heading, index) => ({
+    title: heading.title.slice(0, 200),
+    level: heading.level,
+    page: pageAt(pageOffsets, heading.startOffset),
+    startOffset: heading.startOffset,
+    endOffset: index + 1 < headings.length ? headings[index + 1].startOffset : text.length
+  }));
+}
+
+// Join parts ({ text, headings }) with blank lines, shifting each part's
+// heading offsets. Returns { text, headings, partOffsets }.
+function joinParts(parts) {
+  let text = '';
+  const headings = [];
+  const partOffsets = [];
+
+  parts.forEach((part, index) => {
+    if (index > 0) text += '\n\n';
+    partOffsets.push(text.length);
+    (part.headings || []).forEach(heading => {
+      headings.push({ ...heading, startOffset: heading.startOffset + text.length });
+    });
+    text += part.text;
+  });
+
+  return { text, headings, partOffsets };
+}
+
+module.exports = {
+  findHeadings,
+  locateHeadings,
+  pageAt,
+  buildSections,
+  joinParts
+};
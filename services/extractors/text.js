@@ -0,0 +1,6 @@
+// Plain text; headings are guessed from the lines (see structure.findHeadings)
+async function extract(buffer) {
+  return { text: buffer.toString('utf-8') };
+}
+
+module.exports = { extract };
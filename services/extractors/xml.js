@@ -0,0 +1,84 @@
+const { DOMParser } = require('@xmldom/xmldom');
+
+// Small helpers over @xmldom for the zipped XML formats (PPTX, ODT, EPUB).
+// Lookups use local names so documents work whatever prefixes they declare.
+
+function parseXml(xml) {
+  return new DOMParser({ errorHandler: { warning: () => {}, error: () => {} } })
+    .parseFromString(xml, 'application/xml');
+}
+
+function localName(node) {
+  return node.localName || String(node.nodeName).split(':').pop();
+}
+
+function childElements(node) {
+  return Array.from(node.childNodes || []).filter(child => child.nodeType === 1);
+}
+
+// All descendant elements named `name`, in document order
+function descendants(node, name) {
+  const found = [];
+  const walk = parent => {
+    childElements(parent).forEach(child => {
+      if (localName(child) === name) found.push(child);
+      walk(child);
+    });
+  };
+  walk(node);
+  return found;
+}
+
+function firstDescendant(node, name) {
+  return descendants(node, name)[0] || null;
+}
+
+function attribute(node, name) {
+  const attr = Array.from(node.attributes || []).find(a => a.name === name || localName(a) === name);
+  return attr ? attr.value : null;
+}
+
+// Read a zip entry as text, or null when it doesn't exist
+async function readEntry(zip, path) {
+  const entry = zip.file(path);
+  return entry ? entry.async('string') : null;
+}
+
+// Resolve a relative zip path (rels targets, OPF hrefs) against a base file
+function resolvePath(base, target) {
+  if (target.startsWith('/')) return target.slice(1);
+
+  const parts = base.split('/').slice(0, -1);
+  decodeURIComponent(target.split('#')[0]).split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+// Relationship id -> { target, type } from an OOXML .rels file
+async function readRelationships(zip, relsPath, basePath) {
+  const xml = await readEntry(zip, relsPath);
+  const relationships = {};
+  if (!xml) return relationships;
+
+  descendants(parseXml(xml), 'Relationship').forEach(rel => {
+    relationships[attribute(rel, 'Id')] = {
+      target: resolvePath(basePath, attribute(rel, 'Target')),
+      type: attribute(rel, 'Type') || ''
+    };
+  });
+  return relationships;
+}
+
+module.exports = {
+  parseXml,
+  localName,
+  childElements,
+  descendants,
+  firstDescendant,
+  attribute,
+  readEntry,
+  resolvePath,
+  readRelationships
+};
@@ -0,0 +1,402 @@
+const GenerationJob = require('../models/GenerationJob');
+const Quiz = require('../models/Quiz');
+const Class = require('../models/Class');
+const Lecture = require('../models/Lecture');
+const aiService = require('./aiService');
+const { createLecture, extractLecture } = require('./lectureService');
+const { attachCitations } = require('./citationService');
+const { lintQuestions, lintReport } = require('./questionLinter');
+const { saveQuestions } = require('./questionBank');
+const {
+  allocate,
+  extractLectureTopics,
+  combineLectureTopics,
+  generateLectureQuestions
+} = require('./lecturePlanner');
+
+const POLL_INTERVAL = 5000; // 5 seconds
+const RETRY_BASE_DELAY = 30 * 1000; // 30 seconds, doubled on every retry
+const STALE_LOCK_AGE = 10 * 60 * 1000; // jobs stuck in a running state for 10 minutes are requeued
+
+// Errors that will fail the same way on every retry (bad file, empty text)
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+// Reject if `promise` does not settle within `ms`
+async function withTimeout(promise, ms, message) {
+  let timer;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Background worker that turns uploaded lectures into quizzes. Jobs are
+// persisted in MongoDB so they survive restarts; the worker polls for due
+// jobs and claims them atomically so several server instances can share
+// the queue.
+class GenerationQueue {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  start(io, pollInterval = POLL_INTERVAL) {
+    this.io = io;
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), pollInterval);
+    this.poll();
+    console.log('🛠️  Quiz generation queue started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Queue one quiz for stored lectures (see lectureService.createLecture).
+  // Pass `lecture` for a single lecture or `lectures` for a combined quiz.
+  async enqueue({ instructor, lecture, lectures = [lecture], options }) {
+    const job = new GenerationJob({
+      instructor,
+      class: lectures[0].class,
+      lecture: lectures[0]._id,
+      files: lectures.map(l => ({ lecture: l._id, originalName: l.file.originalName })),
+      file: {
+        originalName: lectures.map(l => l.file.originalName).join(', '),
+        mimeType: lectures.length === 1 ? lectures[0].file.mimeType : null,
+        size: lectures.reduce((sum, l) => sum + (l.file.size || 0), 0)
+      },
+      options
+    });
+
+    await job.save();
+    this.emit(job, 'generation-job-updated');
+
+    // Pick the job up right away instead of waiting for the next tick
+    setImmediate(() => this.poll());
+
+    return job;
+  }
+
+  // Put a failed job back on the queue with a fresh retry budget
+  async retry(job) {
+    job.status = 'queued';
+    job.attempts = 0;
+    job.error = null;
+    job.nextRunAt = new Date();
+    await job.save();
+
+    this.emit(job, 'generation-job-updated');
+    setImmediate(() => this.poll());
+
+    return job;
+  }
+
+  async poll() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      await this.requeueStaleJobs();
+
+      let job;
+      while ((job = await this.claimNextJob())) {
+        await this.process(job);
+      }
+    } catch (error) {
+      console.error('❌ Generation queue poll error:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  claimNextJob() {
+    return GenerationJob.findOneAndUpdate(
+      { status: 'queued', nextRunAt: { $lte: new Date() } },
+      { $set: { status: 'extracting', lockedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextRunAt: 1 } }
+    );
+  }
+
+  // A server crash mid-job leaves it in extracting/generating forever
+  requeueStaleJobs() {
+    return GenerationJob.updateMany(
+      {
+        status: { $in: ['extracting', 'generating'] },
+        lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_AGE) }
+      },
+      { $set: { status: 'queued', lockedAt: null, nextRunAt: new Date() } }
+    );
+  }
+
+  async process(job) {
+    console.log(`🛠️  Processing generation job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+    this.emit(job, 'generation-job-updated');
+
+    try {
+      const classDoc = await Class.findById(job.class);
+      if (!classDoc || !classDoc.isActive) {
+        throw new PermanentJobError('Class no longer exists');
+      }
+
+      const aiOptions = { provider: classDoc.settings.aiProvider };
+      const lectures = await this.loadLectures(job);
+
+      // Text extraction only needs to happen once per lecture
+      for (const lecture of lectures) {
+        const file = job.files.find(f => f.lecture.equals(lecture._id));
+        try {
+          if (!lecture.extractedAt) {
+            await withTimeout(extractLecture(lecture), 30000, 'Text extraction timeout');
+          }
+          if (!lecture.extractedText || lecture.extractedText.trim().length === 0) {
+            throw new Error('Could not extract text from file. The file may be empty or corrupted.');
+          }
+          file.status = 'extracted';
+          file.error = null;
+        } catch (error) {
+          file.status = 'failed';
+          file.error = error.message;
+        }
+      }
+
+      const usable = lectures.filter(lecture => job.files.some(f => f.lecture.equals(lecture._id) && f.status === 'extracted'));
+      if (usable.length === 0) {
+        throw new PermanentJobError(job.files.find(f => f.error)?.error || 'Lecture file is missing');
+      }
+
+      job.status = 'generating';
+      await job.save();
+      this.emit(job, 'generation-job-updated');
+
+      // Long lectures take many model calls; keep the job's lock fresh
+      const heartbeat = () => GenerationJob.updateOne({ _id: job._id }, { $set: { lockedAt: new Date() } });
+
+      // Quizzes generated from the same lecture share its topics
+      for (const lecture of usable) {
+        if (lecture.topics.length === 0) {
+          console.log(`📚 Starting topic extraction for ${lecture.title}...`);
+          lecture.topics = await extractLectureTopics(lecture.extractedText, lecture.sections, aiOptions, heartbeat);
+          await lecture.save();
+        }
+      }
+
+      const topics = usable.length === 1
+        ? usable[0].topics.map(topic => ({ name: topic.name, weight: topic.weight, description: topic.description }))
+        : combineLectureTopics(usable);
+      job.topics = topics;
+
+      // Combined quizzes split the questions by lecture length, with at least
+      // one question per lecture when there are enough to go round
+      const { options } = job;
+      const total = options.isAdaptive ? options.adaptiveQuestionCount : options.numQuestions;
+      const guaranteed = total >= usable.length ? 1 : 0;
+      const counts = allocate(total - guaranteed * usable.length, usable.map(lecture => lecture.extractedText.length))
+        .map(count => count + guaranteed);
+
+      const questions = [];
+      let cited = 0;
+      for (const [index, lecture] of usable.entries()) {
+        if (counts[index] === 0) continue;
+
+        const generated = await generateLectureQuestions(
+          lecture.extractedText,
+          lecture.sections,
+          lecture.topics,
+          {
+            isAdaptive: options.isAdaptive,
+            numQuestions: counts[index],
+            adaptiveQuestionCount: counts[index],
+            adaptiveDifficultyLevels: options.adaptiveDifficultyLevels,
+            adaptiveRetakeThreshold: options.adaptiveRetakeThreshold
+          },
+          aiOptions,
+          heartbeat
+        );
+
+        cited += attachCitations(generated, lecture);
+        questions.push(...generated);
+      }
+
+      if (questions.length === 0) {
+        throw new Error('AI returned no questions');
+      }
+      console.log(`📎 Verified source citations for ${cited}/${questions.length} questions`);
+
+      // Drop questions that fail the quality checks, flag the doubtful ones
+      const linted = lintQuestions(questions);
+      if (linted.questions.length === 0) {
+        throw new Error(`All ${questions.length} generated questions failed the quality checks`);
+      }
+
+      // Ids are only unique per lecture until renumbered
+      linted.questions.forEach((question, index) => {
+        question.questionId = `q${index + 1}`;
+      });
+      job.lint = lintReport(linted.questions, linted.dropped);
+      console.log(`🧹 Lint: dropped ${job.lint.dropped}, flagged ${job.lint.flagged} of ${job.lint.checked} questions`);
+
+      const quiz = await this.createQuiz(job, classDoc, usable, topics, linted.questions);
+
+      // The quiz exists, so a bank failure must not retry the job
+      try {
+        const banked = await saveQuestions(quiz);
+        console.log(`🏦 Saved ${banked} new question(s) to the class question bank`);
+      } catch (error) {
+        console.error('❌ Question bank save error:', error.message);
+      }
+
+      job.status = 'done';
+      job.quiz = quiz._id;
+      job.error = null;
+      job.lockedAt = null;
+      job.completedAt = new Date();
+      await job.save();
+
+      console.log(`✅ Generation job ${job._id} created quiz ${quiz._id}`);
+      this.emit(job, 'generation-job-completed', {
+        quiz: {
+          id: quiz._id,
+          title: quiz.title,
+          totalQuestions: quiz.totalQuestions,
+          topics: quiz.topics
+        }
+      });
+    } catch (error) {
+      await this.handleFailure(job, error);
+    }
+  }
+
+  async handleFailure(job, error) {
+    console.error(`❌ Generation job ${job._id} error:`, error.message);
+
+    job.error = error.message;
+    job.lockedAt = null;
+
+    const canRetry = !(error instanceof PermanentJobError) && job.attempts < job.maxAttempts;
+    if (canRetry) {
+      job.status = 'queued';
+      job.nextRunAt = new Date(Date.now() + RETRY_BASE_DELAY * Math.pow(2, job.attempts - 1));
+      await job.save();
+      console.log(`🔄 Generation job ${job._id} will retry at ${job.nextRunAt.toISOString()}`);
+      this.emit(job, 'generation-job-updated');
+    } else {
+      job.status = 'failed';
+      job.completedAt = new Date();
+      await job.save();
+      this.emit(job, 'generation-job-failed');
+    }
+  }
+
+  // The job's lectures, in upload order. Jobs queued before lectures were
+  // persisted carry the file themselves and get a lecture created from it.
+  async loadLectures(job) {
+    if (job.files.length > 0) {
+      const found = await Lecture.find({ _id: { $in: job.files.map(file => file.lecture) } });
+      const lectures = [];
+      job.files.forEach(file => {
+        const lecture = found.find(l => l._id.equals(file.lecture));
+        if (lecture) {
+          lectures.push(lecture);
+        } else {
+          file.status = 'failed';
+          file.error = 'Lecture no longer exists';
+        }
+      });
+      return lectures;
+    }
+
+    if (job.lecture) {
+      const lecture = await Lecture.findById(job.lecture);
+      if (!lecture) {
+        throw new PermanentJobError('Lecture no longer exists');
+      }
+      job.files.push({ lecture: lecture._id, originalName: lecture.file.originalName });
+      return [lecture];
+    }
+
+    if (!job.file.data) {
+      throw new PermanentJobError('Lecture file is missing');
+    }
+
+    const lecture = await createLecture({
+      instructor: job.instructor,
+      classId: job.class,
+      title: job.options.title,
+      file: {
+        originalname: job.file.originalName,
+        mimetype: job.file.mimeType,
+        size: job.file.size,
+        buffer: job.file.data
+      }
+    });
+
+    job.lecture = lecture._id;
+    job.files.push({ lecture: lecture._id, originalName: lecture.file.originalName });
+    job.file.data = undefined;
+    await job.save();
+
+    return [lecture];
+  }
+
+  async createQuiz(job, classDoc, lectures, topics, questions) {
+    const { options } = job;
+    const lectureTitle = lectures.map(lecture => lecture.title).join(' + ');
+
+    const quiz = new Quiz({
+      title: options.title || lectureTitle,
+      description: options.description || '',
+      instructor: job.instructor,
+      class: classDoc._id,
+      lecture: lectures[0]._id,
+      lectures: lectures.map(lecture => lecture._id),
+      lectureId: lectures[0]._id.toString(),
+      lectureTitle,
+      questions,
+      topics,
+      totalQuestions: questions.length,
+      timeLimit: options.timeLimit || 30,
+      isActive: true,
+      status: 'draft', // Instructors review AI output before students see it
+      settings: {
+        allowRetake: true,
+        showCorrectAnswers: true,
+        adaptiveMode: options.isAdaptive,
+        adaptiveSettings: options.isAdaptive ? {
+          questionCount: options.adaptiveQuestionCount,
+          difficultyLevels: options.adaptiveDifficultyLevels,
+          retakeThreshold: options.adaptiveRetakeThreshold
+        } : null
+      }
+    });
+
+    await quiz.save();
+
+    // Add quiz to class
+    classDoc.quizzes.push(quiz._id);
+    await classDoc.save();
+
+    return quiz;
+  }
+
+  // Notify sockets that joined the job room (see `join-generation-job` in index.js)
+  emit(job, event, extra = {}) {
+    if (!this.io) return;
+    this.io.to(`generation-job:${job._id}`).emit(event, { job: job.toStatus(), ...extra });
+  }
+}
+
+module.exports = new GenerationQueue();
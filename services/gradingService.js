@@ -0,0 +1,233 @@
+const Class = require('../models/Class');
+const aiService = require('./aiService');
+
+// Similarity (0-1) at which a short answer counts as a typo of an accepted answer
+const FUZZY_MATCH_THRESHOLD = 0.85;
+const DEFAULT_REVIEW_THRESHOLD = 0.7;
+
+// Lowercase, drop punctuation and leading articles, collapse whitespace
+function normalizeAnswer(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s.-]/gu, ' ')
+    .replace(/\b(the|a|an)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\.$/, '');
+}
+
+function parseNumber(value) {
+  const cleaned = String(value || '').replace(/,/g, '').trim();
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned) ? parseFloat(cleaned) : null;
+}
+
+// Levenshtein distance turned into a 0-1 similarity score
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+function result(credit, confidence, method, feedback = '') {
+  return {
+    isCorrect: credit >= 1,
+    credit,
+    confidence,
+    gradingMethod: method,
+    feedback
+  };
+}
+
+// Grade a short answer without the LLM: accepted answers (synonyms),
+// numeric tolerance, then fuzzy matching for typos
+function matchShortAnswer(question, answer) {
+  const expected = [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(Boolean);
+  const normalized = normalizeAnswer(answer);
+
+  if (expected.some(value => normalizeAnswer(value) === normalized)) {
+    return result(1, 1, 'exact');
+  }
+
+  // Numeric answers are either within tolerance or wrong, no fuzziness
+  const expectedNumber = parseNumber(question.correctAnswer);
+  if (expectedNumber !== null) {
+    const given = parseNumber(answer);
+    if (given !== null) {
+      const tolerance = question.numericTolerance || 0;
+      return Math.abs(given - expectedNumber) <= tolerance
+        ? result(1, 1, 'numeric')
+        : result(0, 1, 'numeric');
+    }
+  }
+
+  const best = Math.max(0, ...expected.map(value => similarity(normalizeAnswer(value), normalized)));
+  if (best >= FUZZY_MATCH_THRESHOLD) {
+    return result(1, best, 'fuzzy');
+  }
+
+  // The closer the answer came to matching, the less sure we are it is wrong
+  return result(0, 1 - best / FUZZY_MATCH_THRESHOLD * 0.5, 'fuzzy');
+}
+
+// Split "9.8 m/s^2" into its value and unit
+function parseQuantity(value) {
+  const match = String(value ?? '').replace(/,/g, '').trim().match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (!match) return null;
+  return { value: parseFloat(match[1]), unit: match[2].trim() };
+}
+
+// Numeric answer within tolerance; a unit is optional but must match when given
+function gradeNumeric(question, answer) {
+  const given = parseQuantity(answer);
+  if (!given) return result(0, 1, 'numeric');
+
+  const normalizeUnit = unit => unit.toLowerCase().replace(/\s+/g, '');
+  if (question.unit && given.unit && normalizeUnit(given.unit) !== normalizeUnit(question.unit)) {
+    return result(0, 1, 'numeric', `Expected the answer in ${question.unit}`);
+  }
+
+  const expected = parseFloat(question.correctAnswer);
+  const tolerance = question.numericTolerance || 0;
+  return result(Math.abs(given.value - expected) <= tolerance ? 1 : 0, 1, 'numeric');
+}
+
+// Correct picks minus wrong picks, as a share of the correct options
+function gradeMultiSelect(question, answer) {
+  const correct = new Set(question.options.filter(o => o.isCorrect).map(o => o.text));
+  const selected = new Set(answer);
+
+  let right = 0;
+  let wrong = 0;
+  selected.forEach(text => (correct.has(text) ? right++ : wrong++));
+
+  return result(Math.max(0, (right - wrong) / correct.size), 1, 'exact');
+}
+
+// Share of items placed in their correct position
+function gradeOrdering(question, answer) {
+  const inPlace = question.items.filter((item, index) => answer[index] === item).length;
+  return result(inPlace / question.items.length, 1, 'exact');
+}
+
+// Share of left items matched with their right side
+function gradeMatching(question, answer) {
+  const matched = question.pairs.filter(pair => answer[pair.left] === pair.right).length;
+  return result(matched / question.pairs.length, 1, 'exact');
+}
+
+// Each blank is graded like a short answer; confidence is that of the least
+// certain blank
+function gradeBlanks(question, answer) {
+  const grades = question.blanks.map((blank, index) => matchShortAnswer(
+    { correctAnswer: blank.acceptedAnswers[0], acceptedAnswers: blank.acceptedAnswers.slice(1) },
+    answer[index]
+  ));
+
+  const filled = grades.filter(grade => grade.isCorrect).length;
+  const method = grades.some(grade => grade.gradingMethod === 'fuzzy' && grade.isCorrect) ? 'fuzzy' : 'exact';
+  return result(filled / grades.length, Math.min(...grades.map(grade => grade.confidence)), method);
+}
+
+// Returns an error message when an answer does not have the shape the
+// question type expects, otherwise null
+function checkAnswerFormat(question, answer) {
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  switch (question.type) {
+    case 'multi-select':
+      return isStringList(answer) ? null : 'Answer must be a list of selected option texts';
+    case 'ordering':
+      return isStringList(answer) && answer.length === question.items.length
+        ? null
+        : `Answer must list all ${question.items.length} items in order`;
+    case 'fill-in-the-blank':
+      return isStringList(answer) && answer.length === question.blanks.length
+        ? null
+        : `Answer must contain ${question.blanks.length} blank(s)`;
+    case 'matching':
+      return answer && typeof answer === 'object' && !Array.isArray(answer) &&
+        Object.values(answer).every(value => typeof value === 'string')
+        ? null
+        : 'Answer must map each left item to a right item';
+    case 'numeric':
+      return typeof answer === 'string' || typeof answer === 'number' ? null : 'Answer must be a number';
+    default:
+      return typeof answer === 'string' ? null : 'Answer must be text';
+  }
+}
+
+// Grade a short answer against the question's rubric with the class's LLM
+async function gradeWithAI(question, answer, quiz) {
+  const classDoc = await Class.findById(quiz.class).select('settings.aiProvider');
+  const graded = await aiService.gradeShortAnswer(question, answer, {
+    provider: classDoc?.settings.aiProvider
+  });
+
+  return result(graded.credit, graded.confidence, 'ai', graded.feedback);
+}
+
+// Grade a submitted answer. Returns { isCorrect, credit (0-1), confidence (0-1),
+// gradingMethod, feedback, needsReview }; low-confidence grades are flagged
+// for the instructor override queue.
+async function gradeAnswer(question, answer, quiz) {
+  const graders = {
+    'multi-select': gradeMultiSelect,
+    'ordering': gradeOrdering,
+    'matching': gradeMatching,
+    'numeric': gradeNumeric
+  };
+
+  if (graders[question.type]) {
+    return { ...graders[question.type](question, answer), needsReview: false };
+  }
+
+  const threshold = quiz.settings.gradingReviewThreshold ?? DEFAULT_REVIEW_THRESHOLD;
+
+  if (question.type === 'fill-in-the-blank') {
+    const graded = gradeBlanks(question, answer);
+    return { ...graded, needsReview: graded.confidence < threshold };
+  }
+
+  if (question.type !== 'short-answer') {
+    return { ...result(answer === question.correctAnswer ? 1 : 0, 1, 'exact'), needsReview: false };
+  }
+
+  let graded = matchShortAnswer(question, answer);
+
+  // Only answers the matchers could not accept go to the LLM
+  if (!graded.isCorrect && graded.gradingMethod !== 'numeric' && quiz.settings.aiGrading) {
+    try {
+      graded = await gradeWithAI(question, answer, quiz);
+    } catch (error) {
+      console.error('❌ AI grading error:', error.message);
+      graded = { ...graded, confidence: 0 };
+    }
+  }
+
+  // The model's own confidence can't be trusted to skip review: any credit
+  // it awards goes to the instructor queue
+  if (graded.gradingMethod === 'ai' && graded.credit > 0) {
+    return { ...graded, needsReview: true };
+  }
+
+  return { ...graded, needsReview: graded.confidence < threshold };
+}
+
+module.exports = {
+  normalizeAnswer,
+  similarity,
+  matchShortAnswer,
+  checkAnswerFormat,
+  gradeAnswer
+};
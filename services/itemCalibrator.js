@@ -0,0 +1,182 @@
+const { Attempt } = require('../models/Progress');
+const Quiz = require('../models/Quiz');
+const { DIFFICULTIES } = require('./questionService');
+const { DIFFICULTY_LOGITS } = require('./adaptiveEngine');
+
+const CALIBRATION_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+const MIN_RESPONSES = 10; // fewer responses are stored but never flagged
+const GROUP_SHARE = 0.27; // classic upper/lower group size for item analysis
+const LOW_DISCRIMINATION = 0.15;
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Pearson correlation between an item's credit and the rest score
+// (point-biserial for right/wrong items)
+function correlation(xs, ys) {
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : 0;
+}
+
+// Difficulty level whose default logit is closest to `logit`
+function nearestDifficulty(logit) {
+  return DIFFICULTIES.reduce((best, level) =>
+    Math.abs(DIFFICULTY_LOGITS[level] - logit) < Math.abs(DIFFICULTY_LOGITS[best] - logit) ? level : best
+  );
+}
+
+// Item statistics for one question from responses [{ credit, restScore }]
+function computeItemStats(question, responses) {
+  const credits = responses.map(r => r.credit);
+  const pValue = mean(credits);
+  const discrimination = correlation(credits, responses.map(r => r.restScore));
+
+  // Rasch difficulty for an average student (ability 0)
+  const clamped = Math.min(Math.max(pValue, 0.02), 0.98);
+  const irtDifficulty = Math.log((1 - clamped) / clamped);
+  const empiricalDifficulty = nearestDifficulty(irtDifficulty);
+
+  // Share of the strongest students who got the item right
+  const byRestScore = [...responses].sort((a, b) => b.restScore - a.restScore);
+  const groupSize = Math.max(1, Math.round(responses.length * GROUP_SHARE));
+  const upperGroupPValue = mean(byRestScore.slice(0, groupSize).map(r => r.credit));
+  const lowerGroupPValue = mean(byRestScore.slice(-groupSize).map(r => r.credit));
+
+  const flags = [];
+  if (responses.length >= MIN_RESPONSES) {
+    const labelGap = Math.abs(DIFFICULTIES.indexOf(question.difficulty) - DIFFICULTIES.indexOf(empiricalDifficulty));
+    if (labelGap >= 2) flags.push('difficulty-mismatch');
+
+    // Strong students missing an item more often than weak ones usually
+    // means the answer key is wrong
+    if (discrimination < 0 || upperGroupPValue < lowerGroupPValue) {
+      flags.push('possible-bad-key');
+    } else if (discrimination < LOW_DISCRIMINATION) {
+      flags.push('low-discrimination');
+    }
+  }
+
+  return {
+    responses: responses.length,
+    calibrated: responses.length >= MIN_RESPONSES,
+    pValue,
+    discrimination,
+    irtDifficulty,
+    empiricalDifficulty,
+    upperGroupPValue,
+    lowerGroupPValue,
+    flags,
+    calibratedAt: new Date()
+  };
+}
+
+// Periodically recomputes empirical item statistics from completed attempts
+// and stores them on each question (questions[].stats). The adaptive engine
+// uses calibrated difficulties once enough responses exist.
+class ItemCalibrator {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(interval = CALIBRATION_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), interval);
+    this.run();
+    console.log('📐 Item calibrator started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const quizIds = await Attempt.distinct('quiz', { isCompleted: true });
+
+      let calibrated = 0;
+      for (const quizId of quizIds) {
+        const quiz = await Quiz.findById(quizId).select('questions.questionId questions.difficulty questions.contentUpdatedAt');
+        if (!quiz) continue;
+
+        await this.calibrateQuiz(quiz);
+        calibrated += 1;
+      }
+
+      if (calibrated > 0) {
+        console.log(`📐 Calibrated item statistics for ${calibrated} quiz(zes)`);
+      }
+    } catch (error) {
+      console.error('❌ Item calibration error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async calibrateQuiz(quiz) {
+    const attempts = await Attempt.find({ quiz: quiz._id, isCompleted: true }).select('answers startedAt createdAt');
+
+    // Per-attempt credit for every answered question
+    const sheets = attempts.map(attempt => ({
+      startedAt: attempt.startedAt || attempt.createdAt,
+      credits: new Map(
+        attempt.answers.map(answer => [answer.questionId, answer.credit ?? (answer.isCorrect ? 1 : 0)])
+      )
+    }));
+
+    const updates = quiz.questions.map(question => {
+      const responses = [];
+      sheets.forEach(sheet => {
+        if (!sheet.credits.has(question.questionId)) return;
+        // Answered before the question was edited or regenerated
+        if (question.contentUpdatedAt && sheet.startedAt < question.contentUpdatedAt) return;
+
+        // Rest score: share of credit on the attempt's other questions
+        const others = [...sheet.credits.entries()].filter(([questionId]) => questionId !== question.questionId);
+        if (others.length === 0) return;
+
+        responses.push({
+          credit: sheet.credits.get(question.questionId),
+          restScore: mean(others.map(([, credit]) => credit))
+        });
+      });
+
+      return {
+        updateOne: {
+          // Skipped if the question was edited since it was read
+          filter: {
+            _id: quiz._id,
+            questions: {
+              $elemMatch: { questionId: question.questionId, contentUpdatedAt: question.contentUpdatedAt ?? null }
+            }
+          },
+          update: { $set: { 'questions.$.stats': computeItemStats(question, responses) } }
+        }
+      };
+    });
+
+    // Positional updates so concurrent instructor edits aren't overwritten
+    if (updates.length > 0) {
+      await Quiz.bulkWrite(updates);
+    }
+  }
+}
+
+module.exports = new ItemCalibrator();
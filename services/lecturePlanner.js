@@ -0,0 +1,264 @@
+const aiService = require('./aiService');
+const { similarity } = require('./gradingService');
+const { CHUNK_SIZE, chunkText } = require('./textChunker');
+
+// Runs topic extraction and question generation over a whole lecture, one
+// chunk (services/textChunker.js) per model call, instead of only its first
+// few pages. Topics found in several chunks are merged, and questions are
+// spread over the chunks in proportion to topic weight.
+
+const MAX_TOPICS = 15;
+const CONCURRENCY = 3; // model calls in flight per lecture
+const TOPIC_MATCH_THRESHOLD = 0.85; // name similarity at which two topics are one
+
+// Run `fn` over `items` with at most `limit` calls in flight. Returns
+// [{ value } | { error }] in input order so one failed chunk doesn't sink the rest.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Values of the successful results; throws the first error if all failed
+function successes(results, what) {
+  const failed = results.filter(result => result.error);
+  if (failed.length === results.length) {
+    throw failed[0]?.error || new Error(`No ${what} generated`);
+  }
+  if (failed.length > 0) {
+    console.log(`⚠️ ${what} failed for ${failed.length}/${results.length} chunks:`, failed[0].error.message);
+  }
+  return results.filter(result => !result.error).map(result => result.value);
+}
+
+// "Neural Networks" and "neural network" are the same topic
+function topicKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => (word.length > 3 ? word.replace(/s$/, '') : word))
+    .join(' ');
+}
+
+// Merge per-chunk topic lists [{ chunk, topics }] into one list. A topic's
+// score is its weight share within each chunk times the chunk's share of the
+// lecture; scores become 1-10 weights relative to the strongest topic.
+// `chunks` lists the chunk indices covering the topic, strongest first.
+function mergeTopics(chunkTopics, totalLength) {
+  const merged = [];
+
+  chunkTopics.forEach(({ chunk, topics }) => {
+    const valid = (topics || []).filter(topic => topic && topic.name);
+    const totalWeight = valid.reduce((sum, topic) => sum + (Number(topic.weight) || 1), 0);
+    const chunkShare = (chunk.endOffset - chunk.startOffset) / totalLength;
+
+    valid.forEach(topic => {
+      const key = topicKey(topic.name);
+      const score = ((Number(topic.weight) || 1) / totalWeight) * chunkShare;
+
+      let entry = merged.find(m => m.key === key || similarity(m.key, key) >= TOPIC_MATCH_THRESHOLD);
+      if (!entry) {
+        entry = { key, name: topic.name, description: topic.description || '', score: 0, best: 0, chunkScores: new Map() };
+        merged.push(entry);
+      }
+
+      entry.score += score;
+      entry.chunkScores.set(chunk.index, (entry.chunkScores.get(chunk.index) || 0) + score);
+
+      // Name and description come from the chunk that covers the topic most
+      if (score > entry.best) {
+        entry.best = score;
+        entry.name = topic.name;
+        entry.description = topic.description || entry.description;
+      }
+    });
+  });
+
+  const top = merged.sort((a, b) => b.score - a.score).slice(0, MAX_TOPICS);
+  const maxScore = top[0]?.score || 1;
+
+  return top.map(entry => ({
+    name: entry.name,
+    weight: Math.max(1, Math.round((entry.score / maxScore) * 10)),
+    description: entry.description,
+    chunks: [...entry.chunkScores.entries()].sort((a, b) => b[1] - a[1]).map(([index]) => index)
+  }));
+}
+
+// Extract topics from every chunk of a lecture and merge them. `onProgress`
+// is called after each chunk (the queue uses it to keep its job lock fresh).
+async function extractLectureTopics(text, sections, aiOptions = {}, onProgress = () => {}) {
+  const chunks = chunkText(text, sections);
+  console.log(`📚 Extracting topics from ${chunks.length} chunk(s)...`);
+
+  const results = await mapWithConcurrency(chunks, CONCURRENCY, async chunk => {
+    const topics = await aiService.extractTopics(chunk.text, aiOptions);
+    await onProgress();
+    return { chunk, topics };
+  });
+
+  return mergeTopics(successes(results, 'Topic extraction'), text.length);
+}
+
+// Chunks that mention the topic's words most, for topics without chunk
+// indices (lectures whose topics predate chunking, or unknown topics)
+function rankChunksByKeywords(topicName, chunks) {
+  const words = topicKey(topicName).split(' ').filter(word => word.length > 3);
+  const ranked = chunks
+    .map(chunk => {
+      const lower = chunk.text.toLowerCase();
+      return { index: chunk.index, hits: words.reduce((sum, word) => sum + lower.split(word).length - 1, 0) };
+    })
+    .filter(ranking => ranking.hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .map(ranking => ranking.index);
+
+  return ranked.length > 0 ? ranked : [0];
+}
+
+function topicChunks(topic, chunks) {
+  const known = (topic.chunks || []).filter(index => index < chunks.length);
+  return known.length > 0 ? known : rankChunksByKeywords(topic.name, chunks);
+}
+
+// Split `total` into integer shares proportional to `weights` (largest remainder)
+function allocate(total, weights) {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0) || 1;
+  const exact = weights.map(weight => (weight / sum) * total);
+  const counts = exact.map(Math.floor);
+
+  let remaining = total - counts.reduce((acc, count) => acc + count, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        counts[index] += 1;
+        remaining -= 1;
+      }
+    });
+
+  return counts;
+}
+
+// How many questions to generate from which chunk: [{ chunk, count, topics }].
+// Each topic's questions rotate through the chunks that cover it.
+function planQuestions(topics, chunks, numQuestions) {
+  const counts = allocate(numQuestions, topics.map(topic => topic.weight || 1));
+  const plan = new Map();
+
+  topics.forEach((topic, topicIndex) => {
+    const indices = topicChunks(topic, chunks);
+    for (let i = 0; i < counts[topicIndex]; i++) {
+      const chunkIndex = indices[i % indices.length];
+      if (!plan.has(chunkIndex)) {
+        plan.set(chunkIndex, { chunk: chunks[chunkIndex], count: 0, topics: new Map() });
+      }
+      const entry = plan.get(chunkIndex);
+      entry.count += 1;
+      entry.topics.set(topic.name, { name: topic.name, weight: topic.weight, description: topic.description });
+    }
+  });
+
+  return [...plan.values()]
+    .sort((a, b) => a.chunk.index - b.chunk.index)
+    .map(entry => ({ chunk: entry.chunk, count: entry.count, topics: [...entry.topics.values()] }));
+}
+
+// Generate a quiz's questions across the whole lecture. `options` are the
+// generation job's options. Question ids are renumbered across chunks.
+async function generateLectureQuestions(text, sections, topics, options, aiOptions = {}, onProgress = () => {}) {
+  const chunks = chunkText(text, sections);
+  const total = options.isAdaptive ? options.adaptiveQuestionCount : options.numQuestions;
+  const plan = planQuestions(topics, chunks, total);
+  console.log(`🤖 Generating ${total} question(s) from ${plan.length} of ${chunks.length} chunk(s)...`);
+
+  const results = await mapWithConcurrency(plan, CONCURRENCY, async entry => {
+    const questions = options.isAdaptive
+      ? await aiService.generateAdaptiveQuestions(
+        entry.chunk.text,
+        entry.topics,
+        entry.count,
+        options.adaptiveDifficultyLevels,
+        options.adaptiveRetakeThreshold,
+        aiOptions
+      )
+      : await aiService.generateQuestions(entry.chunk.text, entry.topics, entry.count, aiOptions);
+    await onProgress();
+    return (questions || []).slice(0, entry.count);
+  });
+
+  return successes(results, 'Question generation')
+    .flat()
+    .map((question, index) => ({ ...question, questionId: `q${index + 1}` }));
+}
+
+// Topics of a quiz generated from several lectures: their topic lists merged,
+// each lecture counting in proportion to its length
+function combineLectureTopics(lectures) {
+  const totalLength = lectures.reduce((sum, lecture) => sum + lecture.extractedText.length, 0);
+  return mergeTopics(
+    lectures.map((lecture, index) => ({
+      chunk: { index, startOffset: 0, endOffset: lecture.extractedText.length },
+      topics: lecture.topics
+    })),
+    totalLength
+  ).map(({ name, weight, description }) => ({ name, weight, description }));
+}
+
+// Lecture text to prompt with for the given topics (question regeneration,
+// practice questions): the chunks covering them, up to one prompt's worth
+function lectureContext(text, sections, lectureTopics, topicNames, maxChars = CHUNK_SIZE) {
+  if (!text) return text;
+
+  const chunks = chunkText(text, sections || []);
+  if (chunks.length <= 1) return text;
+
+  // Strongest chunk of every topic first, then their other chunks
+  const perTopic = topicNames.map(name => {
+    const topic = (lectureTopics || []).find(t => topicKey(t.name) === topicKey(name));
+    return topicChunks(topic || { name }, chunks);
+  });
+  const depth = Math.max(...perTopic.map(indices => indices.length));
+  const ordered = [];
+  for (let i = 0; i < depth; i++) {
+    perTopic.forEach(indices => {
+      if (i < indices.length && !ordered.includes(indices[i])) ordered.push(indices[i]);
+    });
+  }
+
+  const selected = [];
+  let length = 0;
+  for (const index of ordered) {
+    if (selected.length > 0 && length + chunks[index].text.length > maxChars) break;
+    selected.push(index);
+    length += chunks[index].text.length;
+  }
+
+  return selected.sort((a, b) => a - b).map(index => chunks[index].text).join('\n\n');
+}
+
+module.exports = {
+  allocate,
+  mergeTopics,
+  combineLectureTopics,
+  planQuestions,
+  extractLectureTopics,
+  generateLectureQuestions,
+  lectureContext
+};
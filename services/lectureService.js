@@ -0,0 +1,83 @@
+const path = require('path');
+const Lecture = require('../models/Lecture');
+const GenerationJob = require('../models/GenerationJob');
+const { getStorage } = require('./storage');
+const { extractDocument } = require('./extractors');
+
+// Save an uploaded file to lecture storage and create its Lecture
+async function createLecture({ instructor, classId, file, title }) {
+  const storage = getStorage();
+  const lecture = new Lecture({
+    title: title || file.originalname,
+    instructor,
+    class: classId,
+    file: {
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      storage: storage.name
+    }
+  });
+
+  // Only the extension of the client's file name is kept in the key
+  const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  lecture.file.key = `${lecture._id}/source${extension}`;
+
+  await storage.save(lecture.file.key, file.buffer, { contentType: file.mimetype });
+
+  try {
+    await lecture.save();
+  } catch (error) {
+    await storage.remove(lecture.file.key).catch(() => {});
+    throw error;
+  }
+
+  return lecture;
+}
+
+function readLectureFile(lecture) {
+  return getStorage(lecture.file.storage).read(lecture.file.key);
+}
+
+// Extract text and structure from the stored file (once per lecture)
+async function extractLecture(lecture) {
+  const buffer = await readLectureFile(lecture);
+  const document = await extractDocument({ originalname: lecture.file.originalName, buffer });
+
+  lecture.extractedText = document.text;
+  lecture.pageCount = document.pageCount;
+  lecture.pageOffsets = document.pageOffsets;
+  lecture.sections = document.sections;
+  lecture.extractedAt = new Date();
+  await lecture.save();
+
+  return lecture;
+}
+
+async function deleteLecture(lecture) {
+  await getStorage(lecture.file.storage).remove(lecture.file.key);
+  await lecture.deleteOne();
+}
+
+// Lecture a quiz was generated from, as { lecture, text }. `lectureId` picks
+// one of a combined quiz's lectures (e.g. the one a question cites). Quizzes
+// created before lectures were persisted only have the text on their
+// generation job (if at all), so `lecture` is null for them.
+async function getLectureSource(quiz, lectureId = null) {
+  const id = lectureId || quiz.lecture;
+  if (id) {
+    const lecture = await Lecture.findById(id).select('extractedText sections pageOffsets topics');
+    if (lecture?.extractedText) return { lecture, text: lecture.extractedText };
+  }
+
+  const job = await GenerationJob.findOne({ quiz: quiz._id }).select('extractedText');
+  return { lecture: null, text: job?.extractedText || null };
+}
+
+module.exports = {
+  createLecture,
+  readLectureFile,
+  extractLecture,
+  deleteLecture,
+  getLectureSource
+};
@@ -0,0 +1,260 @@
+const {
+  QUESTION_TYPES,
+  DIFFICULTIES,
+  DIFFICULTY_POINTS,
+  validateQuestion
+} = require('./questionService');
+
+// Parsing and strict validation of model output. Invalid items are never
+// "fixed" by guessing (e.g. marking the first option correct); the errors go
+// back to the model in a repair prompt (aiService.callModelValidated) and
+// whatever is still invalid afterwards is rejected.
+
+// First complete JSON value of the given shape ('array' or 'object') in a
+// model response, ignoring code fences and any prose around it
+function extractJson(text, shape = 'array') {
+  const source = String(text || '').replace(/```(?:json)?/gi, '');
+  const open = shape === 'array' ? '[' : '{';
+  const close = shape === 'array' ? ']' : '}';
+
+  let start = source.indexOf(open);
+  while (start !== -1) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') inString = true;
+      else if (char === '[' || char === '{') depth += 1;
+      else if (char === ']' || char === '}') {
+        depth -= 1;
+        if (depth === 0) {
+          if (char !== close) break;
+          try {
+            return JSON.parse(source.slice(start, i + 1));
+          } catch (error) {
+            break; // try the next candidate
+          }
+        }
+      }
+    }
+
+    start = source.indexOf(open, start + 1);
+  }
+
+  throw new Error(`Response does not contain a valid JSON ${shape}`);
+}
+
+const isString = value => typeof value === 'string';
+const isNonEmptyString = value => isString(value) && value.trim().length > 0;
+
+// Errors for a topic list: [{ name, weight (1-10), description }]
+function validateTopics(value) {
+  if (!Array.isArray(value)) {
+    return { value: [], errors: ['The response must be a JSON array of topics'] };
+  }
+
+  const errors = [];
+  const valid = [];
+  value.forEach((topic, index) => {
+    const topicErrors = [];
+    if (!topic || typeof topic !== 'object') {
+      topicErrors.push('must be an object');
+    } else {
+      if (!isNonEmptyString(topic.name)) topicErrors.push('"name" must be a non-empty string');
+      if (typeof topic.weight !== 'number' || topic.weight < 1 || topic.weight > 10) {
+        topicErrors.push('"weight" must be a number from 1 to 10');
+      }
+      if (topic.description !== undefined && !isString(topic.description)) {
+        topicErrors.push('"description" must be a string');
+      }
+    }
+
+    if (topicErrors.length > 0) {
+      errors.push(`Topic ${index + 1}: ${topicErrors.join('; ')}`);
+    } else {
+      valid.push({ name: topic.name.trim(), weight: topic.weight, description: topic.description || '' });
+    }
+  });
+
+  if (value.length === 0) errors.push('The topic list is empty');
+  return { value: valid, errors };
+}
+
+// Errors for one generated question. `constraints` narrows what the prompt
+// asked for: { types, difficulties, topics }.
+function validateGeneratedQuestion(question, constraints = {}) {
+  if (!question || typeof question !== 'object' || Array.isArray(question)) {
+    return ['must be a JSON object'];
+  }
+
+  const types = constraints.types || QUESTION_TYPES;
+  const difficulties = constraints.difficulties || DIFFICULTIES;
+  const errors = [];
+
+  if (!types.includes(question.type)) {
+    errors.push(`"type" must be one of: ${types.join(', ')}`);
+  }
+  if (!difficulties.includes(question.difficulty)) {
+    errors.push(`"difficulty" must be one of: ${difficulties.join(', ')}`);
+  }
+  if (constraints.topics && !constraints.topics.includes(question.topic)) {
+    errors.push(`"topic" must be one of: ${constraints.topics.join(', ')}`);
+  }
+
+  if (question.options !== undefined) {
+    if (!Array.isArray(question.options)) {
+      errors.push('"options" must be an array');
+    } else if (question.options.some(option => !option || !isString(option.text) || typeof option.isCorrect !== 'boolean')) {
+      errors.push('every option must be an object with a string "text" and a boolean "isCorrect"');
+    }
+  }
+
+  ['text', 'topic'].forEach(field => {
+    if (!isNonEmptyString(question[field])) {
+      errors.push(`"${field}" must be a non-empty string`);
+    }
+  });
+
+  ['explanation', 'sourceQuote', 'unit', 'rubric'].forEach(field => {
+    if (question[field] !== undefined && question[field] !== null && !isString(question[field])) {
+      errors.push(`"${field}" must be a string`);
+    }
+  });
+
+  // validateQuestion expects strings wherever it trims, so shapes are checked first
+  const isStringList = value => Array.isArray(value) && value.every(isString);
+  if (question.items !== undefined && !isStringList(question.items)) {
+    errors.push('"items" must be an array of strings');
+  }
+  if (question.pairs !== undefined &&
+      (!Array.isArray(question.pairs) || question.pairs.some(pair => !pair || !isString(pair.left) || !isString(pair.right)))) {
+    errors.push('"pairs" must be an array of objects with a string "left" and a string "right"');
+  }
+  if (question.blanks !== undefined &&
+      (!Array.isArray(question.blanks) || question.blanks.some(blank => !blank || !isStringList(blank.acceptedAnswers)))) {
+    errors.push('"blanks" must be an array of objects whose "acceptedAnswers" is an array of strings');
+  }
+  if (question.acceptedAnswers !== undefined && !isStringList(question.acceptedAnswers)) {
+    errors.push('"acceptedAnswers" must be an array of strings');
+  }
+
+  if (errors.length > 0) return errors;
+
+  // Answer keys have to agree with themselves; an inconsistent key is rejected
+  const options = question.options || [];
+  if (question.type === 'true-false') {
+    const texts = options.map(option => option.text).sort();
+    if (texts.length !== 2 || texts[0] !== 'False' || texts[1] !== 'True') {
+      errors.push('true-false options must be exactly "True" and "False"');
+    }
+  }
+  if (question.type === 'multi-select' && isNonEmptyString(question.correctAnswer)) {
+    const listed = question.correctAnswer.split(';').map(value => value.trim()).filter(Boolean).sort();
+    const marked = options.filter(option => option.isCorrect).map(option => option.text.trim()).sort();
+    if (listed.join('\n') !== marked.join('\n')) {
+      errors.push('"correctAnswer" must list exactly the options marked isCorrect');
+    }
+  }
+
+  return [
+    ...errors,
+    ...validateQuestion({ ...question, correctAnswer: normalizeAnswerKey(question.correctAnswer), points: undefined })
+  ];
+}
+
+// Numeric answers may come back as JSON numbers
+function normalizeAnswerKey(value) {
+  return typeof value === 'number' ? String(value) : value;
+}
+
+// The fields a generated question is stored with. Points follow difficulty.
+function toQuestion(question) {
+  return {
+    questionId: question.questionId,
+    text: question.text.trim(),
+    type: question.type,
+    options: (question.options || []).map(option => ({ text: option.text.trim(), isCorrect: option.isCorrect })),
+    correctAnswer: normalizeAnswerKey(question.correctAnswer),
+    acceptedAnswers: question.acceptedAnswers || [],
+    numericTolerance: question.numericTolerance ?? null,
+    unit: question.unit || '',
+    items: question.items || [],
+    pairs: (question.pairs || []).map(pair => ({ left: pair.left, right: pair.right })),
+    blanks: (question.blanks || []).map(blank => ({ acceptedAnswers: blank.acceptedAnswers || [] })),
+    rubric: question.rubric || '',
+    topic: question.topic.trim(),
+    difficulty: question.difficulty,
+    explanation: question.explanation || '',
+    sourceQuote: question.sourceQuote || '',
+    points: DIFFICULTY_POINTS[question.difficulty]
+  };
+}
+
+// Validate a generated question list. Returns { value: valid questions,
+// errors: per-question messages }.
+function validateQuestions(value, constraints = {}) {
+  if (!Array.isArray(value)) {
+    return { value: [], errors: ['The response must be a JSON array of questions'] };
+  }
+
+  const errors = [];
+  const valid = [];
+  value.forEach((question, index) => {
+    const questionErrors = validateGeneratedQuestion(question, constraints);
+    if (questionErrors.length > 0) {
+      errors.push(`Question ${index + 1}: ${questionErrors.join('; ')}`);
+    } else {
+      valid.push(toQuestion(question));
+    }
+  });
+
+  if (value.length === 0) errors.push('The question list is empty');
+  return { value: valid, errors };
+}
+
+// Validate a single generated question; `value` is null when invalid
+function validateSingleQuestion(value, constraints = {}) {
+  const errors = validateGeneratedQuestion(value, constraints);
+  return { value: errors.length === 0 ? toQuestion(value) : null, errors };
+}
+
+// Validate an AI grade: { credit (0-1), confidence (0-1), feedback }
+function validateGrade(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { value: null, errors: ['The response must be a JSON object'] };
+  }
+
+  const errors = [];
+  ['credit', 'confidence'].forEach(field => {
+    if (typeof value[field] !== 'number' || value[field] < 0 || value[field] > 1) {
+      errors.push(`"${field}" must be a number from 0 to 1`);
+    }
+  });
+  if (value.feedback !== undefined && !isString(value.feedback)) {
+    errors.push('"feedback" must be a string');
+  }
+
+  return {
+    value: errors.length === 0
+      ? { credit: value.credit, confidence: value.confidence, feedback: value.feedback || '' }
+      : null,
+    errors
+  };
+}
+
+module.exports = {
+  extractJson,
+  validateTopics,
+  validateQuestions,
+  validateSingleQuestion,
+  validateGrade
+};
@@ -0,0 +1,18 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.model = options.model || process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+    this.client = new GoogleGenerativeAI(options.apiKey || process.env.GEMINI_API_KEY);
+    this.gemini = this.client.getGenerativeModel({ model: this.model });
+  }
+
+  async generate(prompt) {
+    const result = await this.gemini.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+}
+
+module.exports = GeminiProvider;
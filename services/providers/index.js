@@ -0,0 +1,34 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const OllamaProvider = require('./ollamaProvider');
+const StubProvider = require('./stubProvider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  ollama: OllamaProvider,
+  stub: StubProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Providers are created lazily so a deployment only needs credentials for
+// the providers it actually uses
+const instances = {};
+
+function getProvider(name) {
+  const providerName = name || process.env.AI_PROVIDER || 'gemini';
+  const Provider = PROVIDERS[providerName];
+
+  if (!Provider) {
+    throw new Error(`Unknown AI provider: ${providerName}. Expected one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  if (!instances[providerName]) {
+    instances[providerName] = new Provider();
+  }
+
+  return instances[providerName];
+}
+
+module.exports = { getProvider, PROVIDER_NAMES };
@@ -0,0 +1,30 @@
+// Local model server speaking the Ollama /api/generate protocol
+class OllamaProvider {
+  constructor(options = {}) {
+    this.name = 'ollama';
+    this.baseUrl = (options.baseUrl || process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+    this.model = options.model || process.env.OLLAMA_MODEL || 'llama3.1';
+  }
+
+  async generate(prompt) {
+    const response = await fetch(`${this.baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: this.model,
+        prompt,
+        stream: false
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`Ollama API error ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    return data.response || '';
+  }
+}
+
+module.exports = OllamaProvider;
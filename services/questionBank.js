@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BankQuestion = require('../models/BankQuestion');
+const { normalizeAnswer } = require('./gradingService');
+
+// Class-scoped question bank. Questions are copied in (from generated or
+// existing quizzes, or written directly) and copied back out when a quiz is
+// assembled, so editing a quiz never changes the bank or the other way round.
+
+// Identifies a question regardless of punctuation, case and spacing
+function fingerprint(question) {
+  return crypto
+    .createHash('sha1')
+    .update(`${question.type}\n${normalizeAnswer(question.text)}`)
+    .digest('hex');
+}
+
+// The content of a question (no quiz-specific id, revisions or statistics)
+function questionContent(question) {
+  return {
+    text: question.text,
+    type: question.type,
+    options: (question.options || []).map(option => ({ text: option.text, isCorrect: option.isCorrect })),
+    correctAnswer: question.correctAnswer,
+    items: question.items || [],
+    pairs: (question.pairs || []).map(pair => ({ left: pair.left, right: pair.right })),
+    blanks: (question.blanks || []).map(blank => ({ acceptedAnswers: blank.acceptedAnswers })),
+    unit: question.unit || '',
+    acceptedAnswers: question.acceptedAnswers || [],
+    numericTolerance: question.numericTolerance ?? null,
+    rubric: question.rubric || '',
+    topic: question.topic,
+    difficulty: question.difficulty,
+    explanation: question.explanation || '',
+    points: question.points,
+    source: question.source && typeof question.source.toObject === 'function'
+      ? question.source.toObject()
+      : question.source || null
+  };
+}
+
+// Save a quiz's questions (all, or the given subset) to its class's bank.
+// Questions already in the bank are left alone. Returns the number added.
+async function saveQuestions(quiz, questions = quiz.questions) {
+  if (questions.length === 0) return 0;
+
+  const result = await BankQuestion.bulkWrite(questions.map(question => ({
+    updateOne: {
+      filter: { class: quiz.class, fingerprint: fingerprint(question) },
+      update: {
+        $setOnInsert: {
+          ...questionContent(question),
+          instructor: quiz.instructor,
+          lecture: question.source?.lecture || quiz.lecture || null,
+          quiz: quiz._id
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return result.upsertedCount;
+}
+
+// Draw random questions for each request [{ topic, difficulty, type, lecture,
+// count }] without drawing any question twice. Returns { questions,
+// shortfalls } where shortfalls lists the requests the bank couldn't fill.
+async function drawQuestions(classId, draws) {
+  const questions = [];
+  const shortfalls = [];
+
+  for (const draw of draws) {
+    const match = {
+      class: new mongoose.Types.ObjectId(String(classId)),
+      _id: { $nin: questions.map(question => question._id) }
+    };
+    if (draw.topic) match.topic = draw.topic;
+    if (draw.difficulty) match.difficulty = draw.difficulty;
+    if (draw.type) match.type = draw.type;
+    if (draw.lecture) match.lecture = new mongoose.Types.ObjectId(String(draw.lecture));
+
+    const drawn = await BankQuestion.aggregate([
+      { $match: match },
+      { $sample: { size: draw.count } }
+    ]);
+
+    questions.push(...drawn);
+    if (drawn.length < draw.count) {
+      const { count, ...criteria } = draw;
+      shortfalls.push({ ...criteria, requested: count, available: drawn.length });
+    }
+  }
+
+  return { questions, shortfalls };
+}
+
+// Quiz question copied from a bank question
+function toQuizQuestion(bankQuestion, questionId) {
+  return {
+    ...questionContent(bankQuestion),
+    questionId,
+    bankQuestion: bankQuestion._id
+  };
+}
+
+async function markUsed(bankQuestions) {
+  await BankQuestion.updateMany(
+    { _id: { $in: bankQuestions.map(question => question._id) } },
+    { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+  );
+}
+
+module.exports = {
+  fingerprint,
+  questionContent,
+  saveQuestions,
+  drawQuestions,
+  toQuizQuestion,
+  markUsed
+};
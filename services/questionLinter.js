@@ -0,0 +1,164 @@
+const { normalizeAnswer } = require('./gradingService');
+
+// Quality checks for generated questions. Every issue costs the question
+// points from a score of 100; questions with an error are dropped from a
+// generated quiz, warnings only flag the question for the instructor.
+
+const ISSUE_PENALTIES = { error: 50, warning: 15 };
+const NEAR_DUPLICATE_THRESHOLD = 0.8; // word overlap (Jaccard) of two stems
+const MIN_LEAK_LENGTH = 4; // shorter answers ("2", "ATP") appear in stems by chance
+
+const OPTION_TYPES = ['multiple-choice', 'true-false', 'multi-select'];
+const CATCH_ALL_OPTION = /^(all|none|both|neither) of (the )?(above|these|them)\b|^(both|neither) .+ (and|nor) .+$/i;
+
+function issue(check, severity, message) {
+  return { check, severity, message };
+}
+
+function words(text) {
+  return new Set(normalizeAnswer(text).split(' ').filter(Boolean));
+}
+
+// Share of words two question stems have in common
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+// Whether `answer` appears as whole words in the (normalized) stem
+function mentions(stem, answer) {
+  const normalized = normalizeAnswer(answer);
+  return normalized.length >= MIN_LEAK_LENGTH && ` ${stem} `.includes(` ${normalized} `);
+}
+
+function checkCorrectOptions(question) {
+  const correct = question.options.filter(option => option.isCorrect).length;
+
+  if (question.type === 'multi-select') {
+    if (correct === 0) return [issue('correct-options', 'error', 'No option is marked correct')];
+    if (correct === question.options.length) {
+      return [issue('correct-options', 'warning', 'Every option is correct, so there is nothing to rule out')];
+    }
+    return [];
+  }
+
+  return correct === 1
+    ? []
+    : [issue('correct-options', 'error', `${correct} options are marked correct; exactly one must be`)];
+}
+
+function checkDuplicateOptions(question) {
+  const seen = new Set();
+  const duplicates = [];
+  question.options.forEach(option => {
+    const key = normalizeAnswer(option.text);
+    if (seen.has(key)) duplicates.push(option.text);
+    seen.add(key);
+  });
+
+  return duplicates.length > 0
+    ? [issue('duplicate-options', 'error', `Duplicate option(s): ${duplicates.join(', ')}`)]
+    : [];
+}
+
+function checkCatchAllOptions(question) {
+  const catchAll = question.options.filter(option => CATCH_ALL_OPTION.test(option.text.trim()));
+  return catchAll.length > 0
+    ? [issue('catch-all-option', 'warning', `"${catchAll[0].text}" options can be answered without knowing the material`)]
+    : [];
+}
+
+// The answer key, or a correct option no distractor shares, written in the stem
+function checkAnswerLeak(question) {
+  const stem = normalizeAnswer(question.text);
+  let leaked = [];
+
+  if (OPTION_TYPES.includes(question.type) && question.type !== 'true-false') {
+    const correct = question.options.filter(option => option.isCorrect);
+    const distractors = question.options.filter(option => !option.isCorrect);
+    if (!distractors.some(option => mentions(stem, option.text))) {
+      leaked = correct.filter(option => mentions(stem, option.text)).map(option => option.text);
+    }
+  } else if (['short-answer', 'numeric'].includes(question.type)) {
+    leaked = [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(answer => mentions(stem, answer));
+  } else if (question.type === 'fill-in-the-blank') {
+    leaked = question.blanks.flatMap(blank => blank.acceptedAnswers).filter(answer => mentions(stem, answer));
+  }
+
+  return leaked.length > 0
+    ? [issue('answer-in-stem', 'error', `The question text gives away the answer "${leaked[0]}"`)]
+    : [];
+}
+
+// Lint one question against the other questions of its quiz (`others`); one
+// that repeats any of them is a near duplicate. Returns { score, issues, checkedAt }.
+function lintQuestion(question, others = []) {
+  const subject = { ...question, options: question.options || [], blanks: question.blanks || [] };
+  const issues = [];
+
+  if (OPTION_TYPES.includes(subject.type)) {
+    issues.push(...checkCorrectOptions(subject), ...checkDuplicateOptions(subject), ...checkCatchAllOptions(subject));
+  }
+  issues.push(...checkAnswerLeak(subject));
+
+  const stem = words(question.text);
+  const duplicate = others.find(other => overlap(stem, words(other.text)) >= NEAR_DUPLICATE_THRESHOLD);
+  if (duplicate) {
+    issues.push(issue('near-duplicate', 'error', `Repeats another question: "${duplicate.text}"`));
+  }
+
+  const score = Math.max(0, 100 - issues.reduce((sum, found) => sum + ISSUE_PENALTIES[found.severity], 0));
+  return { score, issues, checkedAt: new Date() };
+}
+
+// Lint a generated question list. Questions with errors are dropped; the
+// others keep their lint result on `question.lint`. Returns { questions, dropped }.
+function lintQuestions(questions) {
+  const kept = [];
+  const dropped = [];
+
+  questions.forEach(question => {
+    const lint = lintQuestion(question, kept);
+    if (lint.issues.some(found => found.severity === 'error')) {
+      dropped.push({ text: question.text, topic: question.topic, ...lint });
+    } else {
+      kept.push({ ...question, lint });
+    }
+  });
+
+  return { questions: kept, dropped };
+}
+
+// Summary for the instructor: counts plus every dropped or flagged question
+function lintReport(questions, dropped) {
+  const flagged = questions.filter(question => question.lint.issues.length > 0);
+
+  return {
+    checked: questions.length + dropped.length,
+    dropped: dropped.length,
+    flagged: flagged.length,
+    questions: [
+      ...dropped.map(entry => ({
+        questionId: null,
+        text: entry.text,
+        score: entry.score,
+        dropped: true,
+        issues: entry.issues
+      })),
+      ...flagged.map(question => ({
+        questionId: question.questionId,
+        text: question.text,
+        score: question.lint.score,
+        dropped: false,
+        issues: question.lint.issues
+      }))
+    ]
+  };
+}
+
+module.exports = {
+  lintQuestion,
+  lintQuestions,
+  lintReport
+};
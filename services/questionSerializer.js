@@ -0,0 +1,169 @@
+// Shapes quiz questions for students. Answer keys (correctAnswer,
+// options[].isCorrect, explanation) are only included once the quiz's reveal
+// policy allows it.
+
+const { shuffle, formQuestions, questionOrder } = require('./quizForms');
+
+// Values in an attempt's display order. Without a (matching) order they stay
+// in stored order, or are shuffled when the stored order is the answer.
+function arrange(values, order, shuffleByDefault = false) {
+  if (order && order.length === values.length) {
+    return order.map(index => values[index]);
+  }
+  return shuffleByDefault ? shuffle(values) : values;
+}
+
+// Question as shown while taking a quiz. `order` is the question's display
+// order on the student's form; ordering items and matching right sides are
+// shuffled without one so their stored order doesn't give the answer away.
+function toStudentQuestion(question, { order = null } = {}) {
+  if (!question) return null;
+
+  const options = ['multiple-choice', 'multi-select'].includes(question.type)
+    ? arrange(question.options || [], order)
+    : question.options || [];
+
+  const shown = {
+    questionId: question.questionId,
+    text: question.text,
+    type: question.type,
+    options: options.map(option => ({ text: option.text })),
+    topic: question.topic,
+    difficulty: question.difficulty,
+    points: question.points
+  };
+
+  switch (question.type) {
+    case 'ordering':
+      shown.items = arrange(question.items, order, true);
+      break;
+    case 'matching':
+      shown.left = question.pairs.map(pair => pair.left);
+      shown.right = arrange(question.pairs, order, true).map(pair => pair.right);
+      break;
+    case 'fill-in-the-blank':
+      shown.blankCount = question.blanks.length;
+      break;
+    case 'numeric':
+      shown.unit = question.unit || '';
+      break;
+  }
+
+  return shown;
+}
+
+// Where in the lecture a question's answer comes from. The quote usually
+// states the answer, so it is only included alongside the answer key.
+function toSourceReference(question, { withQuote = false } = {}) {
+  const source = question?.source;
+  if (!source) return null;
+
+  return {
+    page: source.page,
+    section: source.section,
+    paragraphStart: source.paragraphStart,
+    paragraphEnd: source.paragraphEnd,
+    quote: withQuote ? source.quote : undefined
+  };
+}
+
+// Question including its answer key, options in the form's display order
+function toRevealedQuestion(question, { order = null } = {}) {
+  if (!question) return null;
+
+  const options = ['multiple-choice', 'multi-select'].includes(question.type)
+    ? arrange(question.options || [], order)
+    : question.options || [];
+
+  return {
+    ...toStudentQuestion(question, { order }),
+    options: options.map(option => ({ text: option.text, isCorrect: option.isCorrect })),
+    correctAnswer: question.correctAnswer,
+    items: question.type === 'ordering' ? question.items : undefined,
+    pairs: question.type === 'matching'
+      ? question.pairs.map(pair => ({ left: pair.left, right: pair.right }))
+      : undefined,
+    blanks: question.type === 'fill-in-the-blank'
+      ? question.blanks.map(blank => ({ acceptedAnswers: blank.acceptedAnswers }))
+      : undefined,
+    numericTolerance: question.type === 'numeric' ? question.numericTolerance : undefined,
+    explanation: question.explanation,
+    source: toSourceReference(question, { withQuote: true }) || undefined
+  };
+}
+
+// Reveal right after the student answers a question
+function revealsAfterAnswer(quiz) {
+  return quiz.settings.showCorrectAnswers && quiz.settings.revealAnswers !== 'after-close';
+}
+
+// Reveal once the quiz has closed for this student. Quizzes without a due or
+// close date never close, so they reveal when the attempt is completed.
+function revealsAfterClose(quiz, studentId, attempt, now = new Date()) {
+  if (!quiz.settings.showCorrectAnswers) return false;
+
+  const availability = quiz.getAvailabilityFor(studentId, now);
+  if (availability.state === 'closed') return true;
+
+  const hasCloseDate = availability.closesAt || availability.dueAt;
+  return !hasCloseDate && !!attempt?.isCompleted;
+}
+
+// Questions of the attempt's form for the results page: answered questions
+// are revealed per the reveal policy, everything is revealed once the quiz
+// has closed
+function toResultQuestions(quiz, studentId, attempt, now = new Date()) {
+  const afterClose = revealsAfterClose(quiz, studentId, attempt, now);
+  const answeredIds = new Set((attempt?.answers || []).map(answer => answer.questionId));
+
+  return formQuestions(quiz, attempt).map(question => {
+    const reveal = afterClose || (revealsAfterAnswer(quiz) && answeredIds.has(question.questionId));
+    const options = { order: questionOrder(attempt, question.questionId) };
+    return reveal ? toRevealedQuestion(question, options) : toStudentQuestion(question, options);
+  });
+}
+
+// Whether a student may see which of their answers were right
+function revealsResults(quiz, studentId, attempt, now = new Date()) {
+  return revealsAfterAnswer(quiz) || revealsAfterClose(quiz, studentId, attempt, now);
+}
+
+// The attempt's answers for the results page. Whether an answer was right
+// (and its grade feedback) follows the same reveal rule as the answer key.
+function toResultAnswers(quiz, studentId, attempt, now = new Date()) {
+  const reveal = revealsResults(quiz, studentId, attempt, now);
+
+  return attempt.answers.map(answer => {
+    const shown = typeof answer.toObject === 'function' ? answer.toObject() : { ...answer };
+    if (!reveal) {
+      delete shown.isCorrect;
+      delete shown.credit;
+      delete shown.feedback;
+    }
+    return shown;
+  });
+}
+
+// The attempt's score breakdown for the student. Per-question credit tells
+// which answers were right, so until answers may be revealed only the totals
+// are sent.
+function toStudentBreakdown(quiz, studentId, attempt, now = new Date()) {
+  const breakdown = attempt.scoreBreakdown;
+  if (!breakdown) return breakdown;
+
+  const shown = typeof breakdown.toObject === 'function' ? breakdown.toObject() : { ...breakdown };
+  if (!revealsResults(quiz, studentId, attempt, now)) {
+    delete shown.questions;
+  }
+  return shown;
+}
+
+module.exports = {
+  toStudentQuestion,
+  toRevealedQuestion,
+  toSourceReference,
+  revealsAfterAnswer,
+  toResultQuestions,
+  toResultAnswers,
+  toStudentBreakdown
+};
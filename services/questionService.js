@@ -0,0 +1,271 @@
+const QUESTION_TYPES = [
+  'multiple-choice', 'multi-select', 'true-false', 'short-answer',
+  'fill-in-the-blank', 'numeric', 'ordering', 'matching'
+];
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert', 'master'];
+const DIFFICULTY_POINTS = { easy: 5, medium: 10, hard: 15, expert: 20, master: 25 };
+
+// Types whose answer key is the correctAnswer string; the others keep it in
+// options, items, pairs or blanks
+const ANSWER_KEY_TYPES = ['multiple-choice', 'true-false', 'short-answer', 'numeric'];
+
+// Fields that make up what a student answers and how it is graded; changing
+// any of them makes the question a different item for calibration
+const CONTENT_FIELDS = [
+  'text', 'type', 'options', 'correctAnswer', 'acceptedAnswers', 'numericTolerance',
+  'items', 'pairs', 'blanks', 'unit'
+];
+
+// Gaps in a fill-in-the-blank question's text
+const BLANK_PATTERN = /_{3,}/g;
+
+// Fields an instructor may set on a question
+const EDITABLE_FIELDS = [
+  'text', 'type', 'options', 'correctAnswer', 'explanation', 'topic', 'difficulty', 'points',
+  'acceptedAnswers', 'numericTolerance', 'rubric', 'items', 'pairs', 'blanks', 'unit'
+];
+
+function countBlanks(text) {
+  return (String(text || '').match(BLANK_PATTERN) || []).length;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasDuplicates(values) {
+  const normalized = values.map(value => String(value || '').trim().toLowerCase());
+  return new Set(normalized).size !== normalized.length;
+}
+
+// Validate a question and return a list of human readable errors (empty if valid)
+function validateQuestion(question) {
+  const errors = [];
+
+  if (!isNonEmptyString(question.text)) {
+    errors.push('Question text is required');
+  }
+
+  if (!QUESTION_TYPES.includes(question.type)) {
+    errors.push(`Question type must be one of: ${QUESTION_TYPES.join(', ')}`);
+  }
+
+  if (!isNonEmptyString(question.topic)) {
+    errors.push('Topic is required');
+  }
+
+  if (!DIFFICULTIES.includes(question.difficulty)) {
+    errors.push(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+
+  if (question.points !== undefined && (typeof question.points !== 'number' || question.points <= 0)) {
+    errors.push('Points must be a positive number');
+  }
+
+  if (ANSWER_KEY_TYPES.includes(question.type) && (!question.correctAnswer || !String(question.correctAnswer).trim())) {
+    errors.push('Correct answer is required');
+  }
+
+  if (question.acceptedAnswers !== undefined &&
+      (!Array.isArray(question.acceptedAnswers) || question.acceptedAnswers.some(value => typeof value !== 'string'))) {
+    errors.push('acceptedAnswers must be a list of strings');
+  }
+
+  if (question.numericTolerance !== undefined && question.numericTolerance !== null &&
+      (typeof question.numericTolerance !== 'number' || question.numericTolerance < 0)) {
+    errors.push('numericTolerance must be a non-negative number');
+  }
+
+  if (question.options !== undefined && question.options !== null &&
+      (!Array.isArray(question.options) || question.options.some(option => !isObject(option)))) {
+    errors.push('options must be a list of objects');
+  } else if (['multiple-choice', 'true-false', 'multi-select'].includes(question.type)) {
+    const options = question.options || [];
+
+    if (options.length < 2) {
+      errors.push('At least two options are required');
+    }
+
+    if (options.some(option => !isNonEmptyString(option.text))) {
+      errors.push('Every option needs text');
+    }
+
+    if (hasDuplicates(options.map(option => option.text))) {
+      errors.push('Options must be unique');
+    }
+
+    const correctOptions = options.filter(option => option.isCorrect);
+    if (question.type === 'multi-select') {
+      if (correctOptions.length === 0) {
+        errors.push('At least one option must be marked isCorrect');
+      }
+    } else if (correctOptions.length !== 1) {
+      errors.push('Exactly one option must be marked isCorrect');
+    } else if (correctOptions[0].text !== question.correctAnswer) {
+      errors.push('correctAnswer must match the option marked isCorrect');
+    }
+  }
+
+  if (question.type === 'numeric' && isNaN(parseFloat(question.correctAnswer))) {
+    errors.push('correctAnswer must be a number for numeric questions');
+  }
+
+  if (question.type === 'ordering') {
+    const items = question.items || [];
+    if (!Array.isArray(items)) {
+      errors.push('items must be a list of strings');
+    } else {
+      if (items.length < 2) {
+        errors.push('At least two items are required');
+      }
+      if (items.some(item => !isNonEmptyString(item))) {
+        errors.push('Every item needs text');
+      }
+      if (hasDuplicates(items)) {
+        errors.push('Items must be unique');
+      }
+    }
+  }
+
+  if (question.type === 'matching') {
+    const pairs = question.pairs || [];
+    if (!Array.isArray(pairs) || pairs.some(pair => !isObject(pair))) {
+      errors.push('pairs must be a list of objects');
+    } else {
+      if (pairs.length < 2) {
+        errors.push('At least two pairs are required');
+      }
+      if (pairs.some(pair => !isNonEmptyString(pair.left) || !isNonEmptyString(pair.right))) {
+        errors.push('Every pair needs a left and a right side');
+      }
+      if (hasDuplicates(pairs.map(pair => pair.left)) || hasDuplicates(pairs.map(pair => pair.right))) {
+        errors.push('Pair sides must be unique');
+      }
+    }
+  }
+
+  if (question.type === 'fill-in-the-blank') {
+    const blanks = question.blanks || [];
+    if (!Array.isArray(blanks) || blanks.some(blank => !isObject(blank))) {
+      errors.push('blanks must be a list of objects');
+    } else {
+      if (blanks.length === 0) {
+        errors.push('At least one blank is required');
+      }
+      if (countBlanks(question.text) !== blanks.length) {
+        errors.push('The text must contain one ___ for every blank');
+      }
+      const acceptedAnswers = blanks.map(blank => blank.acceptedAnswers || []);
+      if (acceptedAnswers.some(values => !Array.isArray(values) || values.some(value => typeof value !== 'string'))) {
+        errors.push('Accepted answers for a blank must be a list of strings');
+      } else if (acceptedAnswers.some(values => !values.some(isNonEmptyString))) {
+        errors.push('Every blank needs at least one accepted answer');
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Apply the editable fields from `input` onto a plain question object
+function applyQuestionChanges(question, input) {
+  const updated = { ...question };
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (input[field] !== undefined) {
+      updated[field] = input[field];
+    }
+  });
+
+  if (Array.isArray(updated.options)) {
+    // Anything that isn't an option object is left for validateQuestion to reject
+    updated.options = updated.options.map(option => isObject(option) ? {
+      text: option.text,
+      isCorrect: !!option.isCorrect
+    } : option);
+  }
+
+  if (Array.isArray(updated.pairs)) {
+    updated.pairs = updated.pairs.map(pair => isObject(pair) ? { left: pair.left, right: pair.right } : pair);
+  }
+
+  if (Array.isArray(updated.blanks)) {
+    updated.blanks = updated.blanks.map(blank => isObject(blank) ? { acceptedAnswers: blank.acceptedAnswers || [] } : blank);
+  }
+
+  if (typeof updated.text === 'string') updated.text = updated.text.trim();
+  if (typeof updated.topic === 'string') updated.topic = updated.topic.trim();
+
+  // Keep points in line with difficulty unless the instructor set them explicitly
+  if (input.points === undefined && input.difficulty !== undefined) {
+    updated.points = DIFFICULTY_POINTS[updated.difficulty] || updated.points;
+  }
+
+  return updated;
+}
+
+// Whether an edit changed a question's content (compared the way
+// applyQuestionChanges normalizes it, so subdocument ids don't count)
+function contentChanged(before, after) {
+  const previous = applyQuestionChanges({}, before);
+  const current = applyQuestionChanges({}, after);
+  return CONTENT_FIELDS.some(field =>
+    JSON.stringify(previous[field] ?? null) !== JSON.stringify(current[field] ?? null)
+  );
+}
+
+// A question whose content was replaced is a new item: its statistics start
+// over and the calibrator ignores answers given before the change
+function resetItemStats(question) {
+  question.stats = undefined;
+  question.contentUpdatedAt = new Date();
+}
+
+// Next free questionId for a quiz (q1, q2, ...)
+function nextQuestionId(quiz) {
+  const highest = quiz.questions.reduce((max, question) => {
+    const number = parseInt(String(question.questionId).replace(/^q/, ''));
+    return isNaN(number) ? max : Math.max(max, number);
+  }, 0);
+
+  return `q${highest + 1}`;
+}
+
+// Rebuild quiz.topics from the questions it actually contains. Weight is the
+// topic's share of the questions on a 1-10 scale, matching the AI topic weights.
+function recalculateTopics(quiz) {
+  const counts = new Map();
+  quiz.questions.forEach(question => {
+    counts.set(question.topic, (counts.get(question.topic) || 0) + 1);
+  });
+
+  const total = quiz.questions.length;
+  // Descriptions come from topic extraction; keep them for topics still covered
+  const descriptions = new Map((quiz.topics || []).map(topic => [topic.name, topic.description]));
+  quiz.topics = Array.from(counts.entries()).map(([name, count]) => ({
+    name,
+    weight: Math.max(1, Math.round((count / total) * 10)),
+    description: descriptions.get(name)
+  }));
+
+  quiz.totalQuestions = total;
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  ANSWER_KEY_TYPES,
+  DIFFICULTIES,
+  DIFFICULTY_POINTS,
+  BLANK_PATTERN,
+  countBlanks,
+  validateQuestion,
+  applyQuestionChanges,
+  contentChanged,
+  resetItemStats,
+  nextQuestionId,
+  recalculateTopics
+};
@@ -0,0 +1,125 @@
+// Per-attempt quiz forms. When an attempt starts it gets its own form: the
+// questions drawn from the quiz's pools, the order they are asked in and the
+// order each question's options (or ordering items, or matching right sides)
+// are shown in. The form is stored on the Attempt so resuming, grading and
+// results all see the same arrangement. Answers are graded by option text,
+// never by position.
+
+function shuffle(values) {
+  const shuffled = [...values];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function randomizationSettings(quiz) {
+  const randomization = quiz.settings.randomization || {};
+  return {
+    shuffleQuestions: randomization.shuffleQuestions !== false,
+    shuffleOptions: randomization.shuffleOptions !== false,
+    pools: randomization.pools || []
+  };
+}
+
+// The values a question's display order applies to, or null when it has none.
+// True/false keeps its conventional order.
+function arrangeable(question, shuffleOptions) {
+  switch (question.type) {
+    case 'ordering':
+      return question.items; // the stored order is the answer
+    case 'matching':
+      return question.pairs;
+    case 'multiple-choice':
+    case 'multi-select':
+      return shuffleOptions ? question.options : null;
+    default:
+      return null;
+  }
+}
+
+// Questions of a (non-adaptive) attempt: every question outside the pools,
+// plus `draw` random questions from each pool, kept in authored order
+function drawQuestions(quiz, pools) {
+  const pooledIds = new Set();
+  const drawnIds = new Set();
+
+  pools.forEach(pool => {
+    const ids = pool.questionIds.filter(id => quiz.questions.some(q => q.questionId === id) && !pooledIds.has(id));
+    ids.forEach(id => pooledIds.add(id));
+    shuffle(ids).slice(0, Math.min(pool.draw, ids.length)).forEach(id => drawnIds.add(id));
+  });
+
+  return quiz.questions.filter(q => !pooledIds.has(q.questionId) || drawnIds.has(q.questionId));
+}
+
+// Build the form for a new attempt. Adaptive quizzes keep every question
+// (the engine picks them) and only get their options arranged. Shuffled forms
+// still ask weak-topic questions first, as unshuffled attempts always did.
+function buildForm(quiz, progress) {
+  const settings = randomizationSettings(quiz);
+  let questions = quiz.questions;
+
+  if (!quiz.settings.adaptiveMode) {
+    questions = drawQuestions(quiz, settings.pools);
+
+    if (settings.shuffleQuestions) {
+      const weakTopics = new Set(progress?.weakTopics || []);
+      const shuffled = shuffle(questions);
+      questions = [
+        ...shuffled.filter(q => weakTopics.has(q.topic)),
+        ...shuffled.filter(q => !weakTopics.has(q.topic))
+      ];
+    }
+  }
+
+  return questions.map(question => {
+    const values = arrangeable(question, settings.shuffleOptions);
+    return {
+      questionId: question.questionId,
+      order: values ? shuffle(values.map((_, index) => index)) : []
+    };
+  });
+}
+
+// Display order of a question on an attempt's form (null = stored order)
+function questionOrder(attempt, questionId) {
+  const entry = (attempt?.form || []).find(item => item.questionId === questionId);
+  return entry && entry.order.length > 0 ? entry.order : null;
+}
+
+// Next question of a non-adaptive form: the first one not served yet.
+// Questions deleted since the attempt started are skipped.
+function nextFormQuestion(quiz, attempt) {
+  const served = new Set([
+    ...attempt.servedQuestions.map(served => served.questionId),
+    ...attempt.answers.map(answer => answer.questionId)
+  ]);
+
+  for (const entry of attempt.form) {
+    if (served.has(entry.questionId)) continue;
+    const question = quiz.questions.find(q => q.questionId === entry.questionId);
+    if (question) return question;
+  }
+
+  return null;
+}
+
+// Quiz questions on an attempt's form, in form order. Attempts started before
+// forms existed see every question.
+function formQuestions(quiz, attempt) {
+  if (!attempt?.form || attempt.form.length === 0) return quiz.questions;
+
+  return attempt.form
+    .map(entry => quiz.questions.find(q => q.questionId === entry.questionId))
+    .filter(Boolean);
+}
+
+module.exports = {
+  shuffle,
+  buildForm,
+  questionOrder,
+  nextFormQuestion,
+  formQuestions
+};
@@ -0,0 +1,103 @@
+// Turns graded answers into an attempt score. Every question is worth its
+// `points`; answers earn a share of them (partial credit), wrong answers can
+// cost points (negative marking) and finishing early can earn a time bonus.
+// The percentage score and its breakdown are stored on the Attempt.
+
+const DEFAULT_POINTS = 10;
+
+// Credit earned for an answer; answers graded before partial credit existed
+// only have isCorrect
+function answerCredit(answer) {
+  return answer.credit ?? (answer.isCorrect ? 1 : 0);
+}
+
+function scoringSettings(quiz) {
+  const scoring = quiz.settings.scoring || {};
+  return {
+    partialCredit: scoring.partialCredit !== false,
+    negativeMarking: scoring.negativeMarking || 0,
+    timeBonus: scoring.timeBonus || 0
+  };
+}
+
+// Points earned on one question. Unanswered questions earn nothing; wrong
+// answers lose `negativeMarking` of the question's points.
+function scoreQuestion(question, answer, settings) {
+  const points = question.points || DEFAULT_POINTS;
+
+  if (!answer) {
+    return { questionId: question.questionId, points, credit: 0, earned: 0, answered: false };
+  }
+
+  let credit = answerCredit(answer);
+  if (!settings.partialCredit && credit < 1) credit = 0;
+
+  const earned = credit > 0 ? points * credit : -points * settings.negativeMarking;
+  return { questionId: question.questionId, points, credit, earned, answered: true };
+}
+
+// Bonus points for time left before the time limit, as a share of the
+// possible points. Scaled by accuracy so rushing through wrong answers
+// doesn't pay.
+function computeTimeBonus(attempt, quiz, settings, pointsPossible, accuracy) {
+  if (!settings.timeBonus || !quiz.timeLimit) return 0;
+
+  const timeLimit = quiz.timeLimit * 60;
+  const timeSaved = Math.min(Math.max(1 - attempt.timeSpent / timeLimit, 0), 1);
+  return pointsPossible * (settings.timeBonus / 100) * timeSaved * accuracy;
+}
+
+// Score an attempt; returns { score (0-100), breakdown }
+function scoreAttempt(attempt, quiz) {
+  const settings = scoringSettings(quiz);
+  const answersById = new Map(attempt.answers.map(answer => [answer.questionId, answer]));
+
+  // Adaptive attempts stop early, so only the questions actually served
+  // count; other attempts count the questions drawn for the student's form
+  const served = new Set([
+    ...(attempt.servedQuestions || []).map(served => served.questionId),
+    ...answersById.keys()
+  ]);
+  const onForm = new Set((attempt.form || []).map(entry => entry.questionId));
+  let scored = quiz.questions;
+  if (quiz.settings.adaptiveMode) {
+    scored = quiz.questions.filter(question => served.has(question.questionId));
+  } else if (onForm.size > 0) {
+    scored = quiz.questions.filter(question => onForm.has(question.questionId));
+  }
+
+  const questions = scored.map(question =>
+    scoreQuestion(question, answersById.get(question.questionId), settings)
+  );
+
+  const pointsPossible = questions.reduce((sum, q) => sum + q.points, 0);
+  const pointsEarned = questions.reduce((sum, q) => sum + Math.max(q.earned, 0), 0);
+  const negativePoints = questions.reduce((sum, q) => sum + Math.min(q.earned, 0), 0);
+  const netPoints = Math.max(0, pointsEarned + negativePoints);
+
+  const accuracy = pointsPossible > 0 ? netPoints / pointsPossible : 0;
+  const timeBonus = computeTimeBonus(attempt, quiz, settings, pointsPossible, accuracy);
+
+  const beforePenalty = pointsPossible > 0
+    ? Math.min(100, ((netPoints + timeBonus) / pointsPossible) * 100)
+    : 0;
+  const score = beforePenalty * (1 - attempt.latePenalty / 100);
+
+  return {
+    score,
+    breakdown: {
+      pointsEarned,
+      negativePoints,
+      timeBonus,
+      pointsPossible,
+      latePenalty: attempt.latePenalty,
+      partialCredit: settings.partialCredit,
+      questions
+    }
+  };
+}
+
+module.exports = {
+  answerCredit,
+  scoreAttempt
+};
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Stores lecture files in MongoDB GridFS so every server instance sees them
+class GridFSStorage {
+  constructor(options = {}) {
+    this.name = 'gridfs';
+    this.bucketName = options.bucketName || process.env.LECTURE_GRIDFS_BUCKET || 'lectures';
+  }
+
+  // The bucket needs an open connection, so it is created on first use
+  bucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: this.bucketName });
+  }
+
+  save(key, buffer, { contentType } = {}) {
+    return new Promise((resolve, reject) => {
+      const upload = this.bucket().openUploadStream(key, { metadata: { contentType } });
+      upload.once('finish', () => resolve(key));
+      upload.once('error', reject);
+      upload.end(buffer);
+    });
+  }
+
+  read(key) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      this.bucket().openDownloadStreamByName(key)
+        .on('data', chunk => chunks.push(chunk))
+        .once('end', () => resolve(Buffer.concat(chunks)))
+        .once('error', reject);
+    });
+  }
+
+  async remove(key) {
+    const bucket = this.bucket();
+    const files = await bucket.find({ filename: key }).toArray();
+    for (const file of files) {
+      await bucket.delete(file._id);
+    }
+  }
+}
+
+module.exports = GridFSStorage;
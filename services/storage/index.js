@@ -0,0 +1,30 @@
+const LocalStorage = require('./localStorage');
+const GridFSStorage = require('./gridfsStorage');
+
+const BACKENDS = {
+  local: LocalStorage,
+  gridfs: GridFSStorage
+};
+
+const STORAGE_NAMES = Object.keys(BACKENDS);
+
+const instances = {};
+
+// New files go to LECTURE_STORAGE; existing files are read from the backend
+// recorded on their lecture, so switching backends doesn't orphan them
+function getStorage(name) {
+  const storageName = name || process.env.LECTURE_STORAGE || 'local';
+  const Storage = BACKENDS[storageName];
+
+  if (!Storage) {
+    throw new Error(`Unknown lecture storage: ${storageName}. Expected one of: ${STORAGE_NAMES.join(', ')}`);
+  }
+
+  if (!instances[storageName]) {
+    instances[storageName] = new Storage();
+  }
+
+  return instances[storageName];
+}
+
+module.exports = { getStorage, STORAGE_NAMES };
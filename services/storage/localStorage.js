@@ -0,0 +1,36 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores lecture files on the server's disk under LECTURE_STORAGE_DIR
+class LocalStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = path.resolve(options.root || process.env.LECTURE_STORAGE_DIR || 'uploads/lectures');
+  }
+
+  // Keys are generated by lectureService, but never let one escape the root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return key;
+  }
+
+  async read(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
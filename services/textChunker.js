@@ -0,0 +1,84 @@
+// Splits long lecture text into chunks small enough for one model prompt.
+// Chunks follow the document's structure: they are packed from whole
+// paragraphs, prefer to start at a section heading and only fall back to
+// sentence (or hard) splits for paragraphs longer than a chunk. Chunking is
+// deterministic, so chunk indices stored on lecture topics stay valid.
+
+const CHUNK_SIZE = 6000; // characters per chunk (and per prompt)
+const MIN_FILL = 0.5; // a new section starts a new chunk once it's this full
+
+// Blank-line separated paragraphs between `start` and `end`, with offsets
+function paragraphs(text, start = 0, end = text.length) {
+  const blocks = [];
+  const pattern = /\n\s*\n/g;
+  pattern.lastIndex = start;
+  let blockStart = start;
+  let match;
+
+  while ((match = pattern.exec(text)) && match.index < end) {
+    blocks.push({ startOffset: blockStart, endOffset: match.index });
+    blockStart = match.index + match[0].length;
+  }
+  blocks.push({ startOffset: blockStart, endOffset: end });
+
+  return blocks.filter(block => text.slice(block.startOffset, block.endOffset).trim());
+}
+
+// Break a paragraph longer than `maxChars` at sentence ends (or hard cuts)
+function splitLong(text, block, maxChars) {
+  if (block.endOffset - block.startOffset <= maxChars) return [block];
+
+  const pieces = [];
+  let start = block.startOffset;
+  while (block.endOffset - start > maxChars) {
+    const window = text.slice(start, start + maxChars);
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('.\n'), window.lastIndexOf('? '), window.lastIndexOf('! '));
+    const cut = sentenceEnd > maxChars * MIN_FILL ? start + sentenceEnd + 1 : start + maxChars;
+    pieces.push({ startOffset: start, endOffset: cut });
+    start = cut;
+  }
+  pieces.push({ startOffset: start, endOffset: block.endOffset });
+
+  return pieces;
+}
+
+// Split `text` into [{ index, startOffset, endOffset, text, section }].
+// `sections` are the lecture's sections (see lectureService.extractDocument).
+function chunkText(text, sections = [], maxChars = CHUNK_SIZE) {
+  if (!text) return [];
+
+  const sectionStarts = new Set(sections.map(section => section.startOffset));
+  const sectionAt = offset => sections
+    .filter(section => section.startOffset <= offset && offset < section.endOffset)
+    .sort((a, b) => b.level - a.level)[0];
+
+  const blocks = paragraphs(text).flatMap(block => splitLong(text, block, maxChars));
+  const chunks = [];
+  let current = null;
+
+  blocks.forEach(block => {
+    const startsSection = [...sectionStarts].some(start => start >= block.startOffset && start < block.endOffset);
+    const size = current ? block.endOffset - current.startOffset : 0;
+    const fill = current ? (current.endOffset - current.startOffset) / maxChars : 0;
+
+    if (!current || size > maxChars || (startsSection && fill >= MIN_FILL)) {
+      current = { startOffset: block.startOffset, endOffset: block.endOffset };
+      chunks.push(current);
+    } else {
+      current.endOffset = block.endOffset;
+    }
+  });
+
+  return chunks.map((chunk, index) => ({
+    index,
+    startOffset: chunk.startOffset,
+    endOffset: chunk.endOffset,
+    text: text.slice(chunk.startOffset, chunk.endOffset),
+    section: sectionAt(chunk.startOffset)?.title || null
+  }));
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  chunkText
+};